@@ -0,0 +1,62 @@
+/**
+ * Undo/redo history of the editor's tree params.
+ * Every entry is a full snapshot (params + seed), so jumping to any entry regenerates that exact tree.
+ */
+
+/** Consecutive edits of the same control within this time (ms) are merged into one entry (e.g. arrow-key nudges). */
+const MERGE_WINDOW_MS = 1000;
+
+/**
+ * Creates a params history.
+ * @param {number} [limit=100] - Maximum number of entries kept (the oldest are dropped).
+ * @returns {{record: function(object, string, string=): boolean, undo: function(): object|null, redo: function(): object|null,
+ *          jumpTo: function(number): object|null, canUndo: function(): boolean, canRedo: function(): boolean,
+ *          getEntries: function(): {label: string}[], getIndex: function(): number}}
+ *          record(params, label, mergeKey) adds a snapshot and returns whether anything was recorded;
+ *          undo/redo/jumpTo return a copy of the params to restore (or null if there is nothing there).
+ */
+export function createParamHistory(limit = 100) {
+    let entries = []; // { label, params, mergeKey, time }
+    let index = -1; // Entry matching the current state
+
+    function record(params, label, mergeKey = null) {
+        const current = entries[index];
+        const snapshot = structuredClone(params);
+        if (current && JSON.stringify(current.params) === JSON.stringify(snapshot)) {
+            return false; // Nothing changed (e.g. a slider released where it started)
+        }
+
+        // A new edit discards the redo branch
+        entries = entries.slice(0, index + 1);
+        const now = performance.now();
+        if (current && mergeKey && current.mergeKey === mergeKey && now - current.time < MERGE_WINDOW_MS && index > 0) {
+            Object.assign(current, { label, params: snapshot, time: now });
+            return true;
+        }
+
+        entries.push({ label, params: snapshot, mergeKey, time: now });
+        if (entries.length > limit) {
+            entries.shift();
+        }
+        index = entries.length - 1;
+        return true;
+    }
+
+    function jumpTo(target) {
+        if (target < 0 || target >= entries.length) return null;
+        index = target;
+        entries[index].mergeKey = null; // The next edit starts a new entry
+        return structuredClone(entries[index].params);
+    }
+
+    return {
+        record,
+        undo: () => jumpTo(index - 1),
+        redo: () => jumpTo(index + 1),
+        jumpTo,
+        canUndo: () => index > 0,
+        canRedo: () => index < entries.length - 1,
+        getEntries: () => entries.map(entry => ({ label: entry.label })),
+        getIndex: () => index
+    };
+}
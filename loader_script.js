@@ -1,8 +1,16 @@
 import * as THREE from 'three';
 import { OrbitControls } from './OrbitControls.js';
+import { TREE_PARAM_SCHEMA, validateTreeData, formatValidationIssues } from './tree_schema.js';
+import { migrateTreeData, getMigrationWarnings } from './tree_formats.js';
+import { showValidationMessages } from './validation_messages.js';
+import { createTreeMaterials } from './tree_materials.js';
+import { hexToInstanceColors } from './tree_colors.js';
+import { computeTreeStats } from './tree_stats.js';
+import { createStatsOverlay } from './stats_overlay.js';
 
 let scene, camera, renderer, controls;
 let loadedBranchMesh, loadedLeafMesh;
+const statsOverlay = createStatsOverlay(document.getElementById('statsOverlay'));
 
 // Base geometries (will be recreated based on loaded data)
 const baseLeafGeometry = new THREE.PlaneGeometry(1, 1);
@@ -74,12 +82,22 @@ function handleFileLoad(event) {
         try {
             const treeData = JSON.parse(e.target.result);
             console.log("Loaded Tree Data:", treeData);
-            // Basic validation
-            if (treeData && treeData.config && treeData.branchMatrices && treeData.leafMatrices) {
-                displayLoadedTree(treeData);
+            // Bring older files up to the current format (see tree_formats.js), then validate against
+            // the schema (see tree_schema.js); warnings don't stop loading
+            const migration = migrateTreeData(treeData);
+            const validation = migration.error
+                ? { valid: false, errors: [{ field: null, message: migration.error }], warnings: [] }
+                : validateTreeData(migration.data);
+            validation.warnings.unshift(...getMigrationWarnings(migration));
+            showValidationMessages(document.getElementById('validationMessages'), validation);
+            if (validation.warnings.length > 0) {
+                console.warn("Tree data warnings:", validation.warnings);
+            }
+            if (validation.valid) {
+                displayLoadedTree(migration.data);
             } else {
-                alert("Invalid tree data format in JSON file.");
-                console.error("Invalid tree data format:", treeData);
+                alert(`Invalid tree data:\n${formatValidationIssues(validation.errors)}`);
+                console.error("Invalid tree data format:", validation.errors);
             }
         } catch (error) {
             alert("Failed to parse JSON file.");
@@ -112,8 +130,13 @@ function displayLoadedTree(treeData) {
         loadedLeafMesh = null;
     }
 
-    // --- Get Parameters ---
-    const config = treeData.config;
+    // --- Get Parameters (defaults for anything the file doesn't have) ---
+    const config = {
+        taperFactor: TREE_PARAM_SCHEMA.taperFactor.default,
+        radialSegments: TREE_PARAM_SCHEMA.radialSegments.default,
+        leafSize: TREE_PARAM_SCHEMA.leafSize.default,
+        ...treeData.config
+    };
     const branchMatricesData = treeData.branchMatrices;
     const leafMatricesData = treeData.leafMatrices;
     const branchCount = branchMatricesData.length;
@@ -121,26 +144,19 @@ function displayLoadedTree(treeData) {
 
     if (branchCount === 0) {
         console.warn("No branch data found in loaded file.");
+        statsOverlay.setTree(null);
         return; // Nothing to display
     }
 
-    // --- Create Materials ---
-    const branchMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color("#" + config.branchColor), // Prepend # if needed
-        roughness: 0.8, // Assume default from editor for now
-        metalness: 0.1
-    });
-    const leafMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color("#" + config.leafColor),
-        side: THREE.DoubleSide,
-        roughness: 0.9,
-        metalness: 0.0
-    });
+    // --- Create Materials (same as the editor's, missing values use its defaults) ---
+    // Saved per-instance colors (see tree_colors.js) already include the base colors
+    const instanceColors = Array.isArray(treeData.branchColors) && Array.isArray(treeData.leafColors);
+    const { branchMaterial, leafMaterial } = createTreeMaterials(config, { instanceColors });
 
     // --- Create Base Branch Geometry (Tapered) ---
     const baseTopRadius = 0.5 * config.taperFactor;
     const baseBottomRadius = 0.5;
-    const baseBranchGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, 8);
+    const baseBranchGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, config.radialSegments);
 
     // --- Create Branch InstancedMesh ---
     loadedBranchMesh = new THREE.InstancedMesh(baseBranchGeometry, branchMaterial, branchCount);
@@ -153,6 +169,9 @@ function displayLoadedTree(treeData) {
         loadedBranchMesh.setMatrixAt(i, tempMatrix);
     }
     loadedBranchMesh.instanceMatrix.needsUpdate = true;
+    if (instanceColors) {
+        loadedBranchMesh.instanceColor = new THREE.InstancedBufferAttribute(hexToInstanceColors(treeData.branchColors), 3);
+    }
     scene.add(loadedBranchMesh);
 
     // --- Create Leaf InstancedMesh (if data exists) ---
@@ -166,9 +185,21 @@ function displayLoadedTree(treeData) {
             loadedLeafMesh.setMatrixAt(i, tempMatrix);
         }
         loadedLeafMesh.instanceMatrix.needsUpdate = true;
+        if (instanceColors) {
+            loadedLeafMesh.instanceColor = new THREE.InstancedBufferAttribute(hexToInstanceColors(treeData.leafColors), 3);
+        }
         scene.add(loadedLeafMesh);
     }
 
+    // Sizes and counts are measured from the matrices, generation time and the cap only known from the saved metadata
+    const metadata = treeData.metadata ?? {};
+    statsOverlay.setTree(computeTreeStats({
+        branchMatrices: branchMatricesData,
+        leafMatrices: leafMatricesData,
+        generationMs: Number.isFinite(metadata.generationMs) ? metadata.generationMs : null,
+        truncated: typeof metadata.truncated === 'boolean' ? metadata.truncated : null
+    }, config));
+
     // Adjust camera focus roughly based on potential tree height
     // This is a guess; the saved JSON doesn't store the initial length directly
     const estimatedTrunkHeight = 10; // Use a default guess
@@ -189,6 +220,7 @@ function animate() {
     requestAnimationFrame(animate);
     controls.update();
     renderer.render(scene, camera);
+    statsOverlay.frame(renderer);
 }
 
 // --- Start ---
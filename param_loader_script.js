@@ -1,10 +1,21 @@
 import * as THREE from 'three';
 import { OrbitControls } from './OrbitControls.js';
-import { generateTreeMatrices } from './tree_generator.js';
+import { createAsyncTreeGenerator } from './tree_generator_async.js';
+import { randomSeed } from './tree_random.js';
+import { validateTreeParams, formatValidationIssues } from './tree_schema.js';
+import { migrateTreeParams, getMigrationWarnings } from './tree_formats.js';
+import { showValidationMessages } from './validation_messages.js';
+import { decodeTreeParamsHash } from './tree_url_state.js';
+import { createTreeMaterials } from './tree_materials.js';
+import { computeInstanceColors, hasColorVariation } from './tree_colors.js';
+import { computeTreeStats } from './tree_stats.js';
+import { createStatsOverlay } from './stats_overlay.js';
 
 let scene, camera, renderer, controls;
 let generatedBranchMesh, generatedLeafMesh;
 let currentConfig = null; // Store the loaded config
+const treeGenerator = createAsyncTreeGenerator(); // Generates in a Web Worker
+const statsOverlay = createStatsOverlay(document.getElementById('statsOverlay'));
 
 // Base geometries
 const baseLeafGeometry = new THREE.PlaneGeometry(1, 1);
@@ -62,10 +73,15 @@ function init() {
     const regenerateButton = document.getElementById('regenerateButton');
     regenerateButton.addEventListener('click', () => {
         if (currentConfig) {
-            displayGeneratedTree(currentConfig);
+            // New variation: same params, fresh seed (the loaded seed is kept in currentConfig)
+            displayGeneratedTree({ ...currentConfig, seed: randomSeed() });
         }
     });
 
+    // Params in the URL hash (a link from the editor's "Copy Link") are shown without a file
+    window.addEventListener('hashchange', loadParamsFromUrl);
+    loadParamsFromUrl();
+
     // Handle Window Resize
     window.addEventListener('resize', onWindowResize, false);
 
@@ -73,6 +89,44 @@ function init() {
     animate();
 }
 
+/**
+ * Migrates (see tree_formats.js) and validates (see tree_schema.js) loaded params, then generates the tree.
+ * Warnings don't stop generation.
+ * @param {object} loadedConfig - Parsed tree_params.json contents (any version), or params decoded from the URL.
+ */
+function loadTreeParams(loadedConfig) {
+    const migration = migrateTreeParams(loadedConfig);
+    const validation = migration.error
+        ? { valid: false, errors: [{ field: null, message: migration.error }], warnings: [] }
+        : validateTreeParams(migration.data, { requireAll: true });
+    validation.warnings.unshift(...getMigrationWarnings(migration));
+    showValidationMessages(document.getElementById('validationMessages'), validation);
+    if (validation.warnings.length > 0) {
+        console.warn("Tree params warnings:", validation.warnings);
+    }
+    if (validation.valid) {
+        currentConfig = validation.params; // Store the loaded config (missing values filled with defaults)
+        displayGeneratedTree(currentConfig);
+        document.getElementById('regenerateButton').disabled = false; // Enable regenerate button
+    } else {
+        alert(`Invalid tree parameters:\n${formatValidationIssues(validation.errors)}`);
+        console.error("Invalid params format:", validation.errors);
+        currentConfig = null;
+        document.getElementById('regenerateButton').disabled = true;
+    }
+}
+
+/**
+ * Loads the params encoded in the URL hash (see tree_url_state.js), if there are any.
+ */
+function loadParamsFromUrl() {
+    const urlConfig = decodeTreeParamsHash(location.hash);
+    if (urlConfig) {
+        console.log("Tree Params from URL:", urlConfig);
+        loadTreeParams(urlConfig);
+    }
+}
+
 function handleFileLoad(event) {
     const file = event.target.files[0];
     if (!file) {
@@ -84,18 +138,7 @@ function handleFileLoad(event) {
         try {
             const loadedConfig = JSON.parse(e.target.result);
             console.log("Loaded Tree Params:", loadedConfig);
-
-            // Basic validation (can be more robust)
-            if (loadedConfig && typeof loadedConfig === 'object') {
-                currentConfig = loadedConfig; // Store the loaded config
-                displayGeneratedTree(currentConfig);
-                document.getElementById('regenerateButton').disabled = false; // Enable regenerate button
-            } else {
-                alert("Invalid tree parameters format in JSON file.");
-                console.error("Invalid params format:", loadedConfig);
-                currentConfig = null;
-                document.getElementById('regenerateButton').disabled = true;
-            }
+            loadTreeParams(loadedConfig);
         } catch (error) {
             alert("Failed to parse JSON file.");
             console.error("JSON Parsing Error:", error);
@@ -115,17 +158,66 @@ function handleFileLoad(event) {
 }
 
 /**
- * Generates and displays the tree based on the loaded configuration.
+ * Creates an InstancedMesh whose instance matrices are backed directly by a generated Float32Array.
+ * @param {THREE.BufferGeometry} geometry - Base geometry.
+ * @param {THREE.Material} material - Material.
+ * @param {Float32Array} array - Instance matrices, 16 floats each (generateTreeMatrices 'float32' output).
+ * @param {number} count - Number of valid instances in the array.
+ * @returns {THREE.InstancedMesh} The mesh, drawing `count` instances.
+ */
+function createInstancedMeshFromArray(geometry, material, array, count) {
+    const mesh = new THREE.InstancedMesh(geometry, material, 0); // Allocates no matrices of its own
+    mesh.instanceMatrix = new THREE.InstancedBufferAttribute(array, 16);
+    mesh.count = count;
+    return mesh;
+}
+
+/**
+ * Shows or hides the generation progress indicator.
+ * @param {number|null} progress - Completed fraction (0..1), or null when generation is done.
+ */
+function setGenerationProgress(progress) {
+    const status = document.getElementById('generationStatus');
+    if (progress === null) {
+        status.style.display = 'none';
+    } else {
+        status.textContent = `Generating... ${Math.round(progress * 100)}%`;
+        status.style.display = 'block';
+    }
+}
+
+/**
+ * Generates the tree based on the loaded configuration in the background, then displays it.
+ * A newer call cancels the one in flight.
  * @param {object} config - The loaded tree generation parameters.
  */
 function displayGeneratedTree(config) {
     console.log("Generating tree with config:", config);
 
-    // --- Generate Matrices using the module ---
-    const { branchMatrices, leafMatrices } = generateTreeMatrices(config);
+    // --- Generate Matrices using the module (in tree_worker.js) ---
+    // Uses config.seed when the params file has one, so the same file always rebuilds the same tree.
+    // Float32 output goes straight into the instance buffers, no per-instance Matrix4 objects.
+    setGenerationProgress(0);
+    treeGenerator.generate(config, { onProgress: setGenerationProgress })
+        .then((result) => showGeneratedTree(config, result))
+        .catch((error) => {
+            if (error.name === 'AbortError') return; // Superseded by a newer regenerate
+            alert(`Failed to generate tree.\n${error.message}`);
+            console.error("Tree Generation Error:", error);
+            setGenerationProgress(null);
+        });
+}
 
-    const branchCount = branchMatrices.length;
-    const leafCount = leafMatrices.length;
+/**
+ * Replaces the displayed tree with a generation result.
+ * @param {object} config - The tree generation parameters the result was generated from.
+ * @param {object} result - generateTreeMatrices() result with 'float32' output.
+ */
+function showGeneratedTree(config, result) {
+    const { branchArray, leafArray, branchCount, leafCount, seed } = result;
+    setGenerationProgress(null);
+    document.getElementById('seedValue').textContent = seed;
+    document.getElementById('algorithmValue').textContent = config.algorithm ?? 'recursive';
 
     // --- Clear existing meshes ---
     if (generatedBranchMesh) {
@@ -142,58 +234,45 @@ function displayGeneratedTree(config) {
 
     if (branchCount === 0) {
         console.warn("Generation resulted in no branches.");
+        statsOverlay.setTree(null);
         return; // Nothing to display
     }
-
-    // --- Create Materials (Use defaults or get from config if saved) ---
-    const branchColor = config.branchColor ? ("#" + config.branchColor) : 0x5C4033;
-    const leafColor = config.leafColor ? ("#" + config.leafColor) : 0x228B22;
+    const stats = computeTreeStats(result, config);
+    statsOverlay.setTree(stats);
+
+    // --- Create Materials (same as the editor's, missing values use its defaults) ---
+    const instanceColors = hasColorVariation(config);
+    const { branchMaterial, leafMaterial } = createTreeMaterials(config, { instanceColors });
+    const colors = instanceColors
+        ? computeInstanceColors(config, seed, { matrices: branchArray, count: branchCount }, { matrices: leafArray, count: leafCount })
+        : null;
     const taperFactor = config.taperFactor ?? 0.68;
-
-    const branchMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(branchColor),
-        roughness: 0.8,
-        metalness: 0.1
-    });
-    const leafMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color(leafColor),
-        side: THREE.DoubleSide,
-        roughness: 0.9,
-        metalness: 0.0
-    });
+    const radialSegments = config.radialSegments ?? 8;
 
     // --- Create Base Branch Geometry (Tapered) ---
     const baseTopRadius = 0.5 * taperFactor;
     const baseBottomRadius = 0.5;
-    const baseBranchGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, 8);
+    const baseBranchGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, radialSegments);
 
     // --- Create Branch InstancedMesh ---
-    generatedBranchMesh = new THREE.InstancedMesh(baseBranchGeometry, branchMaterial, branchCount);
+    generatedBranchMesh = createInstancedMeshFromArray(baseBranchGeometry, branchMaterial, branchArray, branchCount);
     generatedBranchMesh.castShadow = true;
     generatedBranchMesh.receiveShadow = false;
-
-    for (let i = 0; i < branchCount; i++) {
-        generatedBranchMesh.setMatrixAt(i, branchMatrices[i]); // Directly use the generated Matrix4
-    }
-    generatedBranchMesh.instanceMatrix.needsUpdate = true;
+    if (colors) generatedBranchMesh.instanceColor = new THREE.InstancedBufferAttribute(colors.branchColors, 3);
     scene.add(generatedBranchMesh);
 
     // --- Create Leaf InstancedMesh (if matrices exist) ---
     if (leafCount > 0) {
-        generatedLeafMesh = new THREE.InstancedMesh(baseLeafGeometry, leafMaterial, leafCount);
+        generatedLeafMesh = createInstancedMeshFromArray(baseLeafGeometry, leafMaterial, leafArray, leafCount);
         generatedLeafMesh.castShadow = true;
         generatedLeafMesh.receiveShadow = true;
-
-        for (let i = 0; i < leafCount; i++) {
-            generatedLeafMesh.setMatrixAt(i, leafMatrices[i]); // Directly use the generated Matrix4
-        }
-        generatedLeafMesh.instanceMatrix.needsUpdate = true;
+        if (colors) generatedLeafMesh.instanceColor = new THREE.InstancedBufferAttribute(colors.leafColors, 3);
         scene.add(generatedLeafMesh);
     }
 
-    // Adjust camera focus
+    // Adjust camera focus (only recursive trees scale with initialLength, the other algorithms have their own sizes)
     const initialLength = config.initialLength ?? 10;
-    controls.target.set(0, initialLength / 2.5, 0);
+    controls.target.set(0, (config.algorithm ?? 'recursive') === 'recursive' ? initialLength / 2.5 : stats.height / 2, 0);
     controls.update();
     console.log("Tree generated and displayed.");
 }
@@ -210,6 +289,7 @@ function animate() {
     requestAnimationFrame(animate);
     controls.update();
     renderer.render(scene, camera);
+    statsOverlay.frame(renderer);
 }
 
 // --- Start ---
@@ -0,0 +1,138 @@
+/**
+ * Local persistence for the editor (IndexedDB): the autosaved current tree and the named preset library.
+ * All functions return promises. Params are stored as plain tree params (see getTreeParams() in script.js).
+ *
+ * Preset records: { id, name, tags: string[], params, thumbnail (image data URL or null), created, updated }
+ */
+
+const DB_NAME = 'tree-editor';
+const DB_VERSION = 1;
+const AUTOSAVE_STORE = 'autosave';
+const PRESET_STORE = 'presets';
+const AUTOSAVE_KEY = 'current';
+
+let dbPromise = null; // Opened once, on first use
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Opens (and on first use creates) the editor database.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error("IndexedDB is not available in this browser."));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(AUTOSAVE_STORE)) {
+                db.createObjectStore(AUTOSAVE_STORE);
+            }
+            if (!db.objectStoreNames.contains(PRESET_STORE)) {
+                db.createObjectStore(PRESET_STORE, { keyPath: 'id' });
+            }
+        };
+        dbPromise = promisifyRequest(request).catch((error) => {
+            dbPromise = null; // Allow a retry
+            throw error;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs one operation on an object store.
+ * @param {string} storeName - Object store name.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Creates the request.
+ * @returns {Promise<*>} Resolves with the request's result once the transaction is complete.
+ */
+async function runInStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// --- Autosave ---
+
+/**
+ * Loads the autosaved params.
+ * @returns {Promise<{params: object, saved: number}|undefined>} The autosave, if there is one.
+ */
+export function loadAutosave() {
+    return runInStore(AUTOSAVE_STORE, 'readonly', store => store.get(AUTOSAVE_KEY));
+}
+
+/**
+ * Replaces the autosaved params.
+ * @param {object} params - Current tree params (including the seed).
+ * @returns {Promise<void>}
+ */
+export function saveAutosave(params) {
+    return runInStore(AUTOSAVE_STORE, 'readwrite', store => store.put({ params, saved: Date.now() }, AUTOSAVE_KEY));
+}
+
+// --- Presets ---
+
+/**
+ * Lists all presets, most recently updated first.
+ * @returns {Promise<object[]>} Preset records.
+ */
+export async function listPresets() {
+    const presets = await runInStore(PRESET_STORE, 'readonly', store => store.getAll());
+    return presets.sort((a, b) => b.updated - a.updated);
+}
+
+/**
+ * Creates a new preset.
+ * @param {{name: string, params: object, tags?: string[], thumbnail?: string|null}} preset - Preset contents.
+ * @returns {Promise<object>} The stored preset record (with its new id).
+ */
+export async function createPreset({ name, params, tags = [], thumbnail = null }) {
+    const now = Date.now();
+    const record = { id: crypto.randomUUID(), name, tags, params, thumbnail, created: now, updated: now };
+    await runInStore(PRESET_STORE, 'readwrite', store => store.add(record));
+    return record;
+}
+
+/**
+ * Changes fields of an existing preset.
+ * @param {string} id - Preset id.
+ * @param {object} changes - Fields to replace (name, tags, params and/or thumbnail).
+ * @returns {Promise<object>} The updated record.
+ */
+export async function updatePreset(id, changes) {
+    const record = await runInStore(PRESET_STORE, 'readonly', store => store.get(id));
+    if (!record) {
+        throw new Error(`Preset ${id} not found.`);
+    }
+    const updated = { ...record, ...changes, id, updated: Date.now() };
+    await runInStore(PRESET_STORE, 'readwrite', store => store.put(updated));
+    return updated;
+}
+
+/**
+ * Deletes a preset.
+ * @param {string} id - Preset id.
+ * @returns {Promise<void>}
+ */
+export function deletePreset(id) {
+    return runInStore(PRESET_STORE, 'readwrite', store => store.delete(id));
+}
@@ -1,24 +1,52 @@
 import * as THREE from 'three';
 import { OrbitControls } from './OrbitControls.js';
+import { normalizeSeed, randomSeed } from './tree_random.js';
+import { generateTreeMatrices, compareTreeMatrices, DEFAULT_MAX_INSTANCES } from './tree_generator.js';
+import { createAsyncTreeGenerator } from './tree_generator_async.js';
+import { stampTreeParams, stampTreeData, migrateTreeParams, getMigrationWarnings } from './tree_formats.js';
+import { TREE_PARAM_SCHEMA, validateTreeParams, formatValidationIssues } from './tree_schema.js';
+import { showValidationMessages } from './validation_messages.js';
+import { createParamHistory } from './editor_history.js';
+import { loadAutosave, saveAutosave, listPresets, createPreset, updatePreset, deletePreset } from './preset_store.js';
+import { encodeTreeParamsHash, decodeTreeParamsHash } from './tree_url_state.js';
+import { TREE_SPECIES } from './tree_species.js';
+import { createTreeThumbnailRenderer } from './tree_thumbnails.js';
+import { createTreeMaterials, applyTreeMaterials, getTreeMaterialParams, TREE_MATERIAL_PARAMS } from './tree_materials.js';
+import { computeInstanceColors, hasColorVariation, instanceColorsToHex, COLOR_VARIATION_PARAMS } from './tree_colors.js';
+import { computeTreeStats, createTreeMetadata } from './tree_stats.js';
+import { DEFAULT_LSYSTEM, checkLSystemAxiom, parseLSystemRules, formatLSystemError } from './tree_lsystem.js';
+import { DEFAULT_COLONIZATION } from './tree_colonization.js';
+import { DEFAULT_WEBER_PENN, checkWeberPenn, formatWeberPenn } from './tree_weber_penn.js';
+import { validateSaplingPreset, isSaplingPresetFile } from './tree_sapling.js';
+import { createStatsOverlay } from './stats_overlay.js';
 
 let scene, camera, renderer, controls;
 // let treeGroup; // A group to hold all parts of the tree for easy removal - Removed for InstancedMesh
 let treeInstancedMesh; // Use InstancedMesh for performance
-let branchMatrices = []; // Array to hold matrices for each instance
-const baseBranchGeometry = new THREE.CylinderGeometry(0.5, 0.5, 1, 8); // Unit cylinder (radius 0.5, height 1), centered
+const treeGenerator = createAsyncTreeGenerator(); // Generates in a Web Worker
+let generationPending = false; // A worker job is running, so the meshes don't show config yet
+let displayedParams = null; // Params the displayed instances match (the shown result's, plus in-place restyles)
 let groundPlane;
-let estimatedMaxInstances = 0; // Estimate for InstancedMesh allocation
+
+// --- Persistent instance buffers ---
+// The branch/leaf meshes and their instance buffers are kept across regenerations: new matrices are copied in place,
+// and a mesh is only replaced when a tree needs more instances than it has room for.
+// The branch geometry is only rebuilt when taper or radial segments change.
+const INSTANCE_GROWTH = 1.5; // Room for this many times the needed instances when a mesh has to grow
+let branchGeometry = null;
+let branchGeometryKey = null; // `${taperFactor}/${radialSegments}` of branchGeometry
+let spareBuffers = { branchBuffer: undefined, leafBuffer: undefined }; // Last result's arrays, handed back to the generator
+const instanceStats = { meshAllocations: 0, geometryBuilds: 0, generations: 0 };
+const STATS_INTERVAL_MS = 500;
+let lastStatsUpdate = 0;
 
 // --- Leaf Variables ---
 let leafInstancedMesh;
-let leafMatrices = [];
 const baseLeafGeometry = new THREE.PlaneGeometry(1, 1); // Unit plane
-const leafMaterial = new THREE.MeshStandardMaterial({
-    color: 0x228B22, // ForestGreen
-    side: THREE.DoubleSide,
-    roughness: 0.6,
-    metalness: 0.3 // Leaves are typically not metallic
-});
+
+// Branch and leaf materials, set from the material params in config (see tree_materials.js)
+const treeMaterials = createTreeMaterials();
+const leafMaterial = treeMaterials.leafMaterial;
 
 // --- Configuration Object ---
 const config = {
@@ -32,16 +60,44 @@ const config = {
     numBranches: 2,
     angleVariance: 10, // degrees
     lengthVariance: 10, // percentage
+    droop: 0, // 0..1, branches bend towards the ground
+    apicalDominance: 0, // 0..1, the trunk continues upright as a leader
     taperFactor: 0.68, // Ratio of topRadius to bottomRadius for the base geometry
-    branchMaterial: new THREE.MeshStandardMaterial({
-        color: 0x5C4033, // DarkBrown (Darker than SaddleBrown)
-        roughness: 0.8,
-        metalness: 0.3,
-        // side: THREE.DoubleSide // Optional: Might help if seeing inside thin branches
-    }),
-    // Add a reasonable upper limit for pre-allocation, adjust if needed
-    maxInstanceEstimateFactor: 1.5,
+    radialSegments: 8, // Sides of the branch cylinders
+    branchMaterial: treeMaterials.branchMaterial,
     leafSize: 0.5, // Controls the scale of the leaf planes
+    // Material params, applied to the materials by applyTreeMaterials()
+    branchColor: '5c4033', // Hex, no '#' (DarkBrown)
+    leafColor: '228b22', // ForestGreen
+    branchRoughness: 0.8,
+    branchMetalness: 0.3,
+    leafRoughness: 0.6,
+    leafMetalness: 0.3,
+    // Per-instance color variation (see tree_colors.js), none by default
+    hueVariance: 0, // +/- degrees
+    saturationVariance: 0,
+    lightnessVariance: 0,
+    colorGradient: 'none', // 'none' | 'depth' | 'height'
+    gradientStrength: 0, // Lightness change along the gradient (negative = darker tips)
+    // Growth algorithm: 'recursive' uses the sliders above, 'lsystem' the grammar below (see tree_lsystem.js),
+    // 'spaceColonization' the attraction point sliders (see tree_colonization.js), 'weberPenn' the
+    // parameter block (see tree_weber_penn.js; replaced on every edit, never modified)
+    algorithm: 'recursive',
+    axiom: DEFAULT_LSYSTEM.axiom,
+    rules: DEFAULT_LSYSTEM.rules,
+    iterations: DEFAULT_LSYSTEM.iterations,
+    pointCount: DEFAULT_COLONIZATION.pointCount,
+    influenceRadius: DEFAULT_COLONIZATION.influenceRadius,
+    killDistance: DEFAULT_COLONIZATION.killDistance,
+    stepSize: DEFAULT_COLONIZATION.stepSize,
+    crownRadius: DEFAULT_COLONIZATION.crownRadius,
+    crownHeight: DEFAULT_COLONIZATION.crownHeight,
+    weberPenn: DEFAULT_WEBER_PENN,
+    seed: randomSeed(), // Seed for all random variance, saved with the params
+    // Instance budget (0 = no limit). Depth is pruned to fit, see planInstanceBudget() in tree_generator.js
+    maxBranches: 0,
+    maxLeaves: 0,
+    maxTriangles: 0,
 };
 
 // --- UI Elements ---
@@ -56,8 +112,26 @@ const sliders = {
     numBranches: document.getElementById('numBranches'),
     angleVariance: document.getElementById('angleVariance'),
     lengthVariance: document.getElementById('lengthVariance'),
+    droop: document.getElementById('droop'),
+    apicalDominance: document.getElementById('apicalDominance'),
     taperFactor: document.getElementById('taperFactor'),
+    radialSegments: document.getElementById('radialSegments'),
     leafSize: document.getElementById('leafSize'),
+    iterations: document.getElementById('iterations'),
+    pointCount: document.getElementById('pointCount'),
+    influenceRadius: document.getElementById('influenceRadius'),
+    killDistance: document.getElementById('killDistance'),
+    stepSize: document.getElementById('stepSize'),
+    crownRadius: document.getElementById('crownRadius'),
+    crownHeight: document.getElementById('crownHeight'),
+    branchRoughness: document.getElementById('branchRoughness'),
+    branchMetalness: document.getElementById('branchMetalness'),
+    leafRoughness: document.getElementById('leafRoughness'),
+    leafMetalness: document.getElementById('leafMetalness'),
+    hueVariance: document.getElementById('hueVariance'),
+    saturationVariance: document.getElementById('saturationVariance'),
+    lightnessVariance: document.getElementById('lightnessVariance'),
+    gradientStrength: document.getElementById('gradientStrength'),
 };
 
 const valueSpans = {
@@ -71,9 +145,87 @@ const valueSpans = {
     numBranches: document.getElementById('numBranchesValue'),
     angleVariance: document.getElementById('angleVarianceValue'),
     lengthVariance: document.getElementById('lengthVarianceValue'),
+    droop: document.getElementById('droopValue'),
+    apicalDominance: document.getElementById('apicalDominanceValue'),
     taperFactor: document.getElementById('taperFactorValue'),
+    radialSegments: document.getElementById('radialSegmentsValue'),
     leafSize: document.getElementById('leafSizeValue'),
+    iterations: document.getElementById('iterationsValue'),
+    pointCount: document.getElementById('pointCountValue'),
+    influenceRadius: document.getElementById('influenceRadiusValue'),
+    killDistance: document.getElementById('killDistanceValue'),
+    stepSize: document.getElementById('stepSizeValue'),
+    crownRadius: document.getElementById('crownRadiusValue'),
+    crownHeight: document.getElementById('crownHeightValue'),
+    branchRoughness: document.getElementById('branchRoughnessValue'),
+    branchMetalness: document.getElementById('branchMetalnessValue'),
+    leafRoughness: document.getElementById('leafRoughnessValue'),
+    leafMetalness: document.getElementById('leafMetalnessValue'),
+    hueVariance: document.getElementById('hueVarianceValue'),
+    saturationVariance: document.getElementById('saturationVarianceValue'),
+    lightnessVariance: document.getElementById('lightnessVarianceValue'),
+    gradientStrength: document.getElementById('gradientStrengthValue'),
+};
+
+// Color pickers (config holds the hex without '#')
+const colorInputs = {
+    branchColor: document.getElementById('branchColor'),
+    leafColor: document.getElementById('leafColor'),
+};
+const colorGradientSelect = document.getElementById('colorGradient');
+
+// L-system grammar (shown when the algorithm is 'lsystem')
+const algorithmSelect = document.getElementById('algorithm');
+const lsystemPanel = document.getElementById('lsystemPanel');
+const grammarInputs = {
+    axiom: document.getElementById('axiom'),
+    rules: document.getElementById('rules'),
+};
+const lsystemErrors = document.getElementById('lsystemErrors');
+const colonizationPanel = document.getElementById('colonizationPanel'); // Shown when the algorithm is 'spaceColonization'
+const weberPennPanel = document.getElementById('weberPennPanel'); // Shown when the algorithm is 'weberPenn'
+const weberPennInput = document.getElementById('weberPennInput');
+const weberPennErrors = document.getElementById('weberPennErrors');
+
+// Parameters that only change how the existing instances look.
+// Editing them restyles the current tree instead of rebuilding it.
+const VISUAL_PARAMS = new Set(['taperFactor', 'leafSize', 'branchRoughness', 'branchMetalness', 'leafRoughness', 'leafMetalness',
+    'hueVariance', 'saturationVariance', 'lightnessVariance', 'gradientStrength']);
+
+const budgetInputs = {
+    maxBranches: document.getElementById('maxBranches'),
+    maxLeaves: document.getElementById('maxLeaves'),
+    maxTriangles: document.getElementById('maxTriangles'),
 };
+const budgetMeter = document.getElementById('budgetMeter');
+const capWarning = document.getElementById('capWarning');
+const generationStatus = document.getElementById('generationStatus');
+const renderStats = document.getElementById('renderStats');
+const statsOverlay = createStatsOverlay(document.getElementById('statsOverlay'));
+const seedInput = document.getElementById('seedInput');
+const lockSeedCheckbox = document.getElementById('lockSeed');
+const paramMessages = document.getElementById('paramMessages');
+const historyList = document.getElementById('historyList');
+const undoButton = document.getElementById('undoButton');
+const redoButton = document.getElementById('redoButton');
+
+const paramHistory = createParamHistory(); // Undo/redo snapshots of getTreeParams()
+
+const AUTOSAVE_DELAY_MS = 500; // Autosave this long after the last change
+let autosaveTimer = null;
+
+const URL_HASH_INTERVAL_MS = 200; // While a control is dragged or typed in, the URL hash follows at most this often
+let urlHashTimer = null;
+
+const THUMBNAIL_WIDTH = 96; // Preset thumbnail size (height follows the viewport's aspect ratio)
+const presetNameInput = document.getElementById('presetName');
+const presetTagsInput = document.getElementById('presetTags');
+const presetFilterInput = document.getElementById('presetFilter');
+const presetList = document.getElementById('presetList');
+const copyLinkButton = document.getElementById('copyLinkButton');
+
+const SPECIES_THUMBNAIL_SIZE = 96;
+const speciesGallery = document.getElementById('speciesGallery');
 
 // --- Initialization ---
 function init() {
@@ -138,8 +290,10 @@ function init() {
     // Setup UI Listeners
     setupUIListeners();
 
-    // Initial Tree Generation
-    generateTree();
+    // Initial Tree Generation (from a shared link or the autosave, if there is one)
+    restoreInitialTree();
+    renderPresetList();
+    renderSpeciesGallery();
 
     // Handle Window Resize
     window.addEventListener('resize', onWindowResize, false);
@@ -151,231 +305,464 @@ function init() {
 // --- Tree Generation Logic ---
 
 /**
- * Calculates an estimated maximum number of instances needed.
+ * Regenerates the tree from the current config in the background (tree_worker.js), so the viewport
+ * stays responsive. A newer request cancels the one in flight.
  */
-function estimateMaxInstances() {
-    let count = 0;
-    for (let i = 0; i <= config.maxDepth; i++) {
-        count += Math.pow(config.numBranches, i);
-    }
-    // Add a buffer factor - Also used for leaves, might need adjustment
-    estimatedMaxInstances = Math.ceil(count * config.maxInstanceEstimateFactor * 1.5); // Increase buffer slightly for leaves
-    // console.log(`Estimated max instances: ${estimatedMaxInstances}`);
+function generateTree() {
+    // Uses the shared tree_generator.js module, so the editor shows exactly what generateTreeMatrices
+    // produces in other applications. Same seed + same config => same tree.
+    const params = getTreeParams();
+    setGenerationProgress(0);
+    generationPending = true;
+    // The previous result's arrays are written into again instead of allocating new ones
+    const buffers = spareBuffers;
+    spareBuffers = { branchBuffer: undefined, leafBuffer: undefined };
+    treeGenerator.generate(params, { onProgress: setGenerationProgress, ...buffers })
+        .then((result) => displayTree(result, params))
+        .catch((error) => {
+            if (error.name === 'AbortError') return; // Superseded by a newer slider value
+            generationPending = false;
+            console.error("Tree generation failed:", error);
+            setGenerationProgress(null);
+            generationStatus.textContent = error.message; // e.g. the validation errors (see tree_schema.js)
+            generationStatus.style.display = 'block';
+        });
 }
 
-function generateTree() {
-    // --- Cleanup Old Mesh ---
-    if (treeInstancedMesh) {
-        scene.remove(treeInstancedMesh);
-        // If the geometry *might* change (like with taper), dispose of it.
-        if (treeInstancedMesh.geometry) {
-            treeInstancedMesh.geometry.dispose();
-        }
-        // Geometry and material are shared, no need to dispose per-generation
-        // unless the base geometry/material changes.
-    }
-    // Cleanup old leaf mesh
-    if (leafInstancedMesh) {
-        scene.remove(leafInstancedMesh);
-        // We don't dispose geometry/material as they are reused
-        leafInstancedMesh = null; // Ensure the old reference is cleared
-    }
-    // Reset matrices array
-    branchMatrices = [];
-    leafMatrices = [];
-
-    // --- Estimate Instance Count ---
-    estimateMaxInstances(); // Recalculate based on current config
-
-    // --- Create Base Geometry (potentially tapered) ---
-    // Base radius remains 0.5 for consistent scaling calculation
-    const baseTopRadius = 0.5 * config.taperFactor;
-    const baseBottomRadius = 0.5;
-    const currentBaseGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, 8);
-
-    // --- Create or Reconfigure InstancedMesh ---
-    // We create it once and resize if needed, or just create new each time
-    // For simplicity now, let's recreate it. Can optimize later if needed.
-    treeInstancedMesh = new THREE.InstancedMesh(
-        currentBaseGeometry, // Use the newly created (possibly tapered) geometry
-        config.branchMaterial,
-        estimatedMaxInstances // Allocate estimated max size
-    );
+/**
+ * Replaces the displayed tree with a generation result.
+ * @param {object} result - generateTreeMatrices() result with 'float32' output.
+ * @param {object} params - The params the result was generated from.
+ */
+function displayTree(result, params) {
+    generationPending = false;
+    displayedParams = params;
+    setGenerationProgress(null);
+    updateGenerationStatus(result);
+    statsOverlay.setTree(computeTreeStats(result, params));
+    instanceStats.generations++;
+
+    // --- Copy the matrices into the persistent meshes (replaced only when they are too small) ---
+    treeInstancedMesh = ensureInstanceCapacity(treeInstancedMesh, updateBranchGeometry(), config.branchMaterial, result.branchCount);
     treeInstancedMesh.castShadow = true;
     treeInstancedMesh.receiveShadow = false; // Branches generally don't receive shadows on themselves well
+    copyInstanceMatrices(treeInstancedMesh, result.branchArray, result.branchCount);
 
-    // --- Collect Matrices ---
-    const initialMatrix = new THREE.Matrix4(); // Identity matrix for the root
-
-    // --- Create Leaf InstancedMesh (using shared geometry/material) ---
-    // We create it here so it's ready to receive matrices
-    leafInstancedMesh = new THREE.InstancedMesh(
-        baseLeafGeometry,
-        leafMaterial,
-        estimatedMaxInstances // Use same estimate for now
-    );
+    leafInstancedMesh = ensureInstanceCapacity(leafInstancedMesh, baseLeafGeometry, leafMaterial, result.leafCount);
     leafInstancedMesh.castShadow = true; // Leaves can cast shadows
     leafInstancedMesh.receiveShadow = true;
+    copyInstanceMatrices(leafInstancedMesh, result.leafArray, result.leafCount);
+    spareBuffers = { branchBuffer: result.branchArray, leafBuffer: result.leafArray };
+    updateTreeColors();
 
-    collectBranchData(branchMatrices, leafMatrices, 0, initialMatrix, config.initialLength, config.initialRadius);
-
-    // --- Apply Matrices to InstancedMesh ---
-    const actualInstanceCount = branchMatrices.length;
-    if (actualInstanceCount > estimatedMaxInstances) {
-        console.warn(`Actual instance count (${actualInstanceCount}) exceeded estimate (${estimatedMaxInstances}). Some branches might be missing. Consider increasing maxInstanceEstimateFactor.`);
+    // Leaf Size may have been dragged while this tree was generating
+    if (params.leafSize !== config.leafSize) {
+        restyleTree('leafSize', params.leafSize);
     }
-    treeInstancedMesh.count = Math.min(actualInstanceCount, estimatedMaxInstances); // Set the actual number of instances to draw
 
-    for (let i = 0; i < treeInstancedMesh.count; i++) {
-        treeInstancedMesh.setMatrixAt(i, branchMatrices[i]);
-    }
-    treeInstancedMesh.instanceMatrix.needsUpdate = true; // IMPORTANT: Tell Three.js to update the instance matrices
-
-    scene.add(treeInstancedMesh);
+    // Update controls target after generating tree
+    controls.target.set(0, config.initialLength / 2.5, 0);
+    controls.update();
+}
 
-    // --- Apply Leaf Matrices ---
-    const actualLeafCount = leafMatrices.length;
-    if (actualLeafCount > estimatedMaxInstances) {
-        console.warn(`Actual leaf count (${actualLeafCount}) exceeded estimate (${estimatedMaxInstances}). Some leaves might be missing.`);
+/**
+ * Makes sure a persistent InstancedMesh has room for `count` instances. A mesh that is too small is replaced by a
+ * larger one (with some headroom) and disposed, which frees its GPU buffers.
+ * @param {THREE.InstancedMesh|undefined} mesh - The current mesh, if any.
+ * @param {THREE.BufferGeometry} geometry - Base geometry.
+ * @param {THREE.Material} material - Material.
+ * @param {number} count - Number of instances needed.
+ * @returns {THREE.InstancedMesh} The mesh to use (in the scene).
+ */
+function ensureInstanceCapacity(mesh, geometry, material, count) {
+    if (mesh && mesh.instanceMatrix.count >= count) {
+        return mesh;
     }
-    leafInstancedMesh.count = Math.min(actualLeafCount, estimatedMaxInstances);
-    for (let i = 0; i < leafInstancedMesh.count; i++) {
-        leafInstancedMesh.setMatrixAt(i, leafMatrices[i]);
+    const capacity = Math.max(Math.ceil(count * INSTANCE_GROWTH), 1);
+    const grown = new THREE.InstancedMesh(geometry, material, capacity);
+    grown.instanceMatrix.setUsage(THREE.DynamicDrawUsage); // Rewritten on every regeneration
+    instanceStats.meshAllocations++;
+    if (mesh) {
+        scene.remove(mesh);
+        mesh.dispose(); // Frees the instance matrix and color buffers (geometry and material are shared)
     }
-    leafInstancedMesh.instanceMatrix.needsUpdate = true;
+    scene.add(grown);
+    return grown;
+}
 
-    scene.add(leafInstancedMesh);
+/**
+ * Copies generated matrices into a mesh's instance buffer and uploads only that part of it.
+ * @param {THREE.InstancedMesh} mesh - Mesh with room for `count` instances (see ensureInstanceCapacity).
+ * @param {Float32Array} array - Instance matrices, 16 floats each (generateTreeMatrices 'float32' output).
+ * @param {number} count - Number of valid instances in the array.
+ */
+function copyInstanceMatrices(mesh, array, count) {
+    mesh.instanceMatrix.array.set(array.subarray(0, count * 16));
+    markInstancesChanged(mesh.instanceMatrix, count);
+    mesh.count = count;
+    // Recomputed from the new matrices when next needed (frustum culling)
+    mesh.boundingBox = null;
+    mesh.boundingSphere = null;
+}
 
-    // Update controls target after generating tree
-    controls.target.set(0, config.initialLength / 2.5, 0);
-    controls.update();
+/**
+ * Shows or hides the generation progress indicator.
+ * @param {number|null} progress - Completed fraction (0..1), or null when generation is done.
+ */
+function setGenerationProgress(progress) {
+    if (progress === null) {
+        generationStatus.style.display = 'none';
+    } else {
+        generationStatus.textContent = `Generating... ${Math.round(progress * 100)}%`;
+        generationStatus.style.display = 'block';
+    }
 }
 
 /**
- * Recursive function to collect transformation matrices for each branch.
- * @param {THREE.Matrix4[]} matricesArray - Array to store the final world matrices.
- * @param {THREE.Matrix4[]} leafMatricesArray - Array to store leaf matrices.
- * @param {number} level - The current recursion depth level.
- * @param {THREE.Matrix4} parentMatrix - The world transformation matrix ending at the base of this branch.
- * @param {number} length - The length of this branch segment.
- * @param {number} radius - The radius at the base of this branch segment.
+ * Returns the pure generation parameters from config (what tree_params.json contains).
+ * @returns {object} A copy of config without editor-only objects.
  */
-function collectBranchData(matricesArray, leafMatricesArray, level, parentMatrix, length, radius) {
-    // --- Base Case: Stop recursion ---
-    const isTerminal = level >= config.maxDepth || length <= 0.01 || radius < config.minRadius;
-    const reachedLimit = matricesArray.length >= estimatedMaxInstances || leafMatricesArray.length >= estimatedMaxInstances - 1; // Check space for 2 leaves
+function getTreeParams() {
+    // Create a copy of the config object to filter
+    const params = { ...config };
 
-    if (isTerminal || reachedLimit) {
-        if (reachedLimit && !isTerminal) {
-            // console.warn("Instance limit reached during recursion.");
-        }
+    // Remove non-parameter properties
+    delete params.branchMaterial;       // Material object is not needed
+    // Add any other properties to remove if they aren't pure generation parameters
+    return params;
+}
 
-        // --- Add Leaves if it's a natural terminal branch (not just limit reached) ---
-        if (isTerminal && level > 0) { // Don't add leaves to the base trunk segment (level 0)
-
-            const canAddLeaves = leafMatricesArray.length < estimatedMaxInstances - 1;
-            if (canAddLeaves) {
-                const leafScale = config.leafSize;
-                const scaleMatrix = new THREE.Matrix4().makeScale(leafScale, leafScale, leafScale);
-
-                // --- Leaf at Base of this Terminal Segment ---
-                const randomQuatBase = new THREE.Quaternion().setFromEuler(
-                    new THREE.Euler(Math.random() * Math.PI, Math.random() * Math.PI * 2, Math.random() * Math.PI)
-                );
-                const rotationMatrixBase = new THREE.Matrix4().makeRotationFromQuaternion(randomQuatBase);
-                const leafMatrixBase = new THREE.Matrix4()
-                    .multiply(parentMatrix) // Position at the start of this segment
-                    .multiply(rotationMatrixBase)
-                    .multiply(scaleMatrix);
-                leafMatricesArray.push(leafMatrixBase);
-
-                // --- Leaf at Tip of this Terminal Segment ---
-                const endPointTranslation = new THREE.Matrix4().makeTranslation(0, length, 0);
-                const tipMatrix = new THREE.Matrix4().multiplyMatrices(parentMatrix, endPointTranslation);
-                const randomQuatTip = new THREE.Quaternion().setFromEuler(
-                    new THREE.Euler(Math.random() * Math.PI, Math.random() * Math.PI * 2, Math.random() * Math.PI)
-                );
-                const rotationMatrixTip = new THREE.Matrix4().makeRotationFromQuaternion(randomQuatTip);
-                const leafMatrixTip = new THREE.Matrix4()
-                    .multiply(tipMatrix) // Position at the end of this segment
-                    .multiply(rotationMatrixTip)
-                    .multiply(scaleMatrix);
-                leafMatricesArray.push(leafMatrixTip);
-            }
-        }
-        return; // Stop recursion
+/**
+ * Shows the instance counts of the current tree in the budget meter, and a warning when the
+ * generator's safety cap (or the budget) cut it short (branches and leaves are missing in that case), and the generation warnings.
+ * @param {object} result - The generateTreeMatrices() result.
+ */
+function updateGenerationStatus(result) {
+    updateBudgetMeter(result);
+    // Problems found while generating (e.g. a space colonization tree that never branched)
+    const generationWarnings = (result.warnings ?? []).filter((warning) => warning.field === null);
+    if (generationWarnings.length > 0) {
+        generationStatus.textContent = generationWarnings.map((warning) => warning.message).join('\n');
+        generationStatus.style.display = 'block';
     }
+    if (result.truncated) {
+        const advice = {
+            lsystem: 'Lower the Iterations.',
+            spaceColonization: 'Use fewer Attraction Points or a larger Step Size.',
+            weberPenn: 'Lower the levels or branches of the Weber-Penn parameters.'
+        }[config.algorithm] ?? 'Lower Max Depth or Branches per Node.';
+        capWarning.textContent = `Instance limit reached (safety cap ${DEFAULT_MAX_INSTANCES} or budget): the tree is truncated. ${advice}`;
+        capWarning.style.display = 'block';
+    } else {
+        capWarning.style.display = 'none';
+    }
+}
 
-    const actualRadius = Math.max(radius, config.minRadius);
-    // Note: InstancedMesh uses one geometry, so tapering within a segment isn't directly possible via matrix alone
-    // unless using non-uniform scale, which can affect lighting/normals.
-    // We scale uniformly based on the 'base' radius (actualRadius).
-
-    // --- 1. Calculate the Local Transformation for the current branch segment ---
-    // Scale the unit cylinder (height 1, radius 0.5) and position its base at the origin (0,0,0) locally.
-    const scaleMatrix = new THREE.Matrix4().makeScale(actualRadius * 2, length, actualRadius * 2);
-    const translationMatrix = new THREE.Matrix4().makeTranslation(0, length / 2, 0); // Translate center of scaled cylinder to put base at origin
+/**
+ * Draws the live budget meter: branch, leaf and triangle counts against the budget.
+ * Without a budget the bars compare against the safety cap so exponential growth still shows.
+ * @param {object} result - The generateTreeMatrices() result.
+ */
+function updateBudgetMeter(result) {
+    const rows = [
+        ['Branches', result.branchCount, config.maxBranches || DEFAULT_MAX_INSTANCES],
+        ['Leaves', result.leafCount, config.maxLeaves || DEFAULT_MAX_INSTANCES],
+        ['Triangles', result.triangleCount, config.maxTriangles],
+    ];
+
+    let html = '';
+    for (const [label, count, limit] of rows) {
+        const fraction = limit ? Math.min(count / limit, 1) : 0;
+        const color = fraction >= 1 ? '#f44336' : fraction > 0.8 ? '#ff9800' : '#4CAF50';
+        html += `<div class="meterRow">${label}: ${count}${limit ? ' / ' + limit : ''}`
+            + `<div class="meterBar"><div style="width: ${(fraction * 100).toFixed(1)}%; background: ${color};"></div></div></div>`;
+    }
+    const { budget } = result;
+    // What the budget prunes, and the smallest tree it can prune to
+    const [prunedLabel, smallest] = {
+        iterations: ['Iterations', 'axiom'],
+        growthSteps: ['Growth steps', 'trunk'],
+        levels: ['Levels', 'trunk']
+    }[budget?.prunedParam] ?? ['Depth', 'trunk'];
+    if (budget && budget.prunedLevels > 0) {
+        html += `<div class="meterNote">${prunedLabel} pruned ${budget.fullDepth} &rarr; ${budget.depth} to fit the budget.</div>`;
+    }
+    if (budget && !budget.withinBudget) {
+        html += `<div class="meterNote">Even the ${smallest} alone exceeds the budget.</div>`;
+    }
+    budgetMeter.innerHTML = html;
+}
 
-    const localMatrix = new THREE.Matrix4().multiplyMatrices(translationMatrix, scaleMatrix); // Scale then translate
+/**
+ * Returns the (possibly tapered) unit cylinder used as the base geometry for all branch instances,
+ * rebuilding it (and disposing the old one) only when the taper or radial segments changed.
+ * Base radius remains 0.5 for consistent scaling calculation.
+ * @returns {THREE.CylinderGeometry} The current branch geometry.
+ */
+function updateBranchGeometry() {
+    const key = `${config.taperFactor}/${config.radialSegments}`;
+    if (key !== branchGeometryKey) {
+        const baseTopRadius = 0.5 * config.taperFactor;
+        const baseBottomRadius = 0.5;
+        const oldGeometry = branchGeometry;
+        branchGeometry = new THREE.CylinderGeometry(baseTopRadius, baseBottomRadius, 1, config.radialSegments);
+        branchGeometryKey = key;
+        instanceStats.geometryBuilds++;
+        if (treeInstancedMesh) treeInstancedMesh.geometry = branchGeometry;
+        if (oldGeometry) oldGeometry.dispose();
+    }
+    return branchGeometry;
+}
 
-    // --- 2. Calculate the World Matrix for this segment ---
-    // Apply the local transformation relative to the parent's endpoint matrix.
-    const worldMatrix = new THREE.Matrix4().multiplyMatrices(parentMatrix, localMatrix);
+/**
+ * Applies a visual parameter change to the existing instances without rebuilding the tree,
+ * so the structure and its random choices stay exactly as they are.
+ * @param {string} key - The visual parameter that changed (one of VISUAL_PARAMS).
+ * @param {number} previousValue - The parameter value before the change.
+ */
+function restyleTree(key, previousValue) {
+    if (TREE_MATERIAL_PARAMS.includes(key) || COLOR_VARIATION_PARAMS.includes(key)) {
+        updateTreeColors();
+        return;
+    }
+    if (!treeInstancedMesh) return; // First tree still generating, it will use the new value
+    if (key === 'taperFactor') {
+        // Taper lives in the shared base geometry, so only the geometry needs replacing
+        updateBranchGeometry();
+    } else if (key === 'leafSize') {
+        // Only recursive trees size every leaf by leafSize alone (L-system leaves can have their own L(s) size,
+        // Weber-Penn leaves are offset by theirs), so the other algorithms rebuild the tree to match the generator
+        if (config.algorithm !== 'recursive') {
+            generateTree();
+            return;
+        }
+        // Every leaf matrix ends with a uniform scale, so rescaling by the ratio resizes it in place
+        const ratio = config.leafSize / previousValue;
+        const rescaleMatrix = new THREE.Matrix4().makeScale(ratio, ratio, ratio);
+        const leafMatrix = new THREE.Matrix4(); // Reuse for performance
+        for (let i = 0; i < leafInstancedMesh.count; i++) {
+            leafInstancedMesh.getMatrixAt(i, leafMatrix);
+            leafInstancedMesh.setMatrixAt(i, leafMatrix.multiply(rescaleMatrix));
+        }
+        markInstancesChanged(leafInstancedMesh.instanceMatrix, leafInstancedMesh.count);
+        leafInstancedMesh.boundingSphere = null; // Leaves reach a little further (or less)
+        if (displayedParams) displayedParams = { ...displayedParams, leafSize: config.leafSize };
+    }
+}
 
-    // --- 3. Store the World Matrix ---
-    matricesArray.push(worldMatrix);
-    const currentMatrixIndex = matricesArray.length - 1; // Keep track in case limit is reached
+/**
+ * Applies the material params and per-instance colors (see tree_colors.js) to the displayed tree.
+ * The materials are shared by every tree, so they also apply to one still generating.
+ */
+function updateTreeColors() {
+    const instanceColors = hasColorVariation(config);
+    applyTreeMaterials(treeMaterials, config, { instanceColors });
+    if (!treeInstancedMesh) return; // First tree still generating, displayTree colors it
+    if (!instanceColors) {
+        setInstanceColors(treeInstancedMesh, null);
+        setInstanceColors(leafInstancedMesh, null);
+        return;
+    }
+    const { branchColors, leafColors } = computeInstanceColors(config, config.seed,
+        { matrices: treeInstancedMesh.instanceMatrix.array, count: treeInstancedMesh.count },
+        { matrices: leafInstancedMesh.instanceMatrix.array, count: leafInstancedMesh.count });
+    setInstanceColors(treeInstancedMesh, branchColors);
+    setInstanceColors(leafInstancedMesh, leafColors);
+}
 
-    // --- Calculate parameters for child branches ---
-    const nextLevel = level + 1;
-    const baseNextLength = length * config.lengthFactor;
-    const baseNextRadius = actualRadius * config.radiusFactor;
+/**
+ * Sets the per-instance colors of a mesh in its persistent color buffer (slider drags recolor often).
+ * Once a mesh has a color buffer it keeps it: without variation the instances are simply white, and the
+ * material carries the base color. (A replaced or removed attribute would only be freed with the mesh.)
+ * @param {THREE.InstancedMesh} mesh - The mesh.
+ * @param {Float32Array|null} colors - RGB per instance, or null for no variation.
+ */
+function setInstanceColors(mesh, colors) {
+    if (!colors && !mesh.instanceColor) return;
+    if (!mesh.instanceColor) {
+        mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(mesh.instanceMatrix.count * 3), 3);
+        mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+    }
+    if (colors) {
+        mesh.instanceColor.array.set(colors);
+    } else {
+        mesh.instanceColor.array.fill(1, 0, mesh.count * 3);
+    }
+    markInstancesChanged(mesh.instanceColor, mesh.count);
+}
 
-    // --- Calculate starting matrix for children ---
-    // This matrix represents the transformation to the *end* of the current branch segment.
-    const childBaseMatrix = new THREE.Matrix4();
-    const endPointTranslation = new THREE.Matrix4().makeTranslation(0, length, 0); // Translate along the local Y axis of the current segment
-    childBaseMatrix.multiplyMatrices(parentMatrix, endPointTranslation); // Start from parent base, move to the tip
+/**
+ * Flags the first `count` instances of an instance attribute for upload (not the unused capacity behind them).
+ * @param {THREE.InstancedBufferAttribute} attribute - instanceMatrix or instanceColor.
+ * @param {number} count - Number of instances in use.
+ */
+function markInstancesChanged(attribute, count) {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(0, count * attribute.itemSize);
+    attribute.needsUpdate = true;
+}
 
-    // --- Create Child Branches ---
-    const angleStep = config.numBranches > 1 ? 360 / config.numBranches : 0; // Use degrees for variance calc ease
+// --- Render Stats ---
 
-    for (let i = 0; i < config.numBranches; i++) {
-        if (matricesArray.length >= estimatedMaxInstances) break; // Check limit before recursion
+/**
+ * Bytes of instance data a mesh holds (matrices, plus colors if it has them), for its whole capacity.
+ * @param {THREE.InstancedMesh|undefined} mesh - The mesh.
+ * @returns {number} Bytes.
+ */
+function getInstanceBytes(mesh) {
+    if (!mesh) return 0;
+    return mesh.instanceMatrix.array.byteLength + (mesh.instanceColor ? mesh.instanceColor.array.byteLength : 0);
+}
 
-        // Apply randomness/variance to parameters
-        const lengthVarianceFactor = 1 + (Math.random() - 0.5) * 2 * (config.lengthVariance / 100);
-        const angleVariance = (Math.random() - 0.5) * 2 * config.angleVariance; // degrees
-        const spreadVariance = (Math.random() - 0.5) * (angleStep * 0.4); // degrees, variance up to 40% of step
+/**
+ * Shows instance and memory stats in the panel, so buffer reuse can be checked while editing:
+ * mesh allocations and geometry builds should stay put while sliders are dragged.
+ */
+function updateRenderStats() {
+    const describe = (mesh) => mesh ? `${mesh.count} / ${mesh.instanceMatrix.count}` : '-';
+    const instanceMB = (getInstanceBytes(treeInstancedMesh) + getInstanceBytes(leafInstancedMesh)) / (1024 * 1024);
+    renderStats.textContent = [
+        `Branches:   ${describe(treeInstancedMesh)}`,
+        `Leaves:     ${describe(leafInstancedMesh)}`,
+        `Instances:  ${instanceMB.toFixed(2)} MB`,
+        `Meshes:     ${instanceStats.meshAllocations} allocated, ${instanceStats.generations} trees`,
+        `Geometry:   ${instanceStats.geometryBuilds} built, ${renderer.info.memory.geometries} on GPU`
+    ].join('\n');
+}
 
-        const nextLength = baseNextLength * lengthVarianceFactor;
-        const nextRadius = baseNextRadius; // Radius variance could be added here
+// --- L-System Grammar ---
 
-        // Calculate the final tilt angle for this specific branch (degrees)
-        const branchAngleDeg = config.branchAngle + angleVariance;
+/**
+ * Shows the algorithm and grammar from config in the panel (the grammar inputs only for the L-system,
+ * the attraction point sliders only for space colonization, the Weber-Penn parameters only for that model).
+ */
+function updateGrammarInputs() {
+    algorithmSelect.value = config.algorithm;
+    lsystemPanel.style.display = config.algorithm === 'lsystem' ? 'block' : 'none';
+    colonizationPanel.style.display = config.algorithm === 'spaceColonization' ? 'block' : 'none';
+    weberPennPanel.style.display = config.algorithm === 'weberPenn' ? 'block' : 'none';
+    for (const key in grammarInputs) {
+        grammarInputs[key].value = config[key];
+    }
+    showGrammarErrors();
+    weberPennInput.value = formatWeberPenn(config.weberPenn);
+    readWeberPennInput();
+}
 
-        // Calculate the final spread angle for this specific branch (degrees)
-        const baseSpreadAngleDeg = angleStep * i;
-        const spreadAngleDeg = baseSpreadAngleDeg + spreadVariance;
+/**
+ * Parses the Weber-Penn parameters typed in the panel and lists what is wrong with them under it
+ * (ignored parameters are listed as warnings, they don't stop generation).
+ * @returns {object|null} The parameters, or null if they can't be used.
+ */
+function readWeberPennInput() {
+    let value = null;
+    let errors;
+    let warnings = [];
+    try {
+        value = JSON.parse(weberPennInput.value);
+        ({ errors, warnings } = checkWeberPenn(value));
+    } catch (error) {
+        errors = [`Not valid JSON: ${error.message}`];
+    }
+    weberPennErrors.innerHTML = '';
+    const items = [...errors.map((message) => [message, '']), ...warnings.map((message) => [message, 'warning'])];
+    for (const [message, className] of items) {
+        const item = document.createElement('li');
+        item.textContent = message;
+        item.className = className;
+        weberPennErrors.appendChild(item);
+    }
+    weberPennInput.classList.toggle('invalid', errors.length > 0);
+    return errors.length === 0 ? value : null;
+}
 
-        // --- Calculate Orientation Quaternion ---
-        // Convert angles to radians for trig functions
-        const branchAngleRad = THREE.MathUtils.degToRad(branchAngleDeg);
-        const spreadAngleRad = THREE.MathUtils.degToRad(spreadAngleDeg);
+/**
+ * Lists the syntax errors of the axiom and rules under them and outlines the inputs that have errors.
+ * Clicking an error selects its position in the input.
+ * @returns {boolean} True if the grammar is valid.
+ */
+function showGrammarErrors() {
+    const grammarErrors = {
+        axiom: checkLSystemAxiom(config.axiom),
+        rules: parseLSystemRules(config.rules).errors
+    };
+    lsystemErrors.innerHTML = '';
+    for (const key in grammarInputs) {
+        grammarInputs[key].classList.toggle('invalid', grammarErrors[key].length > 0);
+        for (const error of grammarErrors[key]) {
+            const item = document.createElement('li');
+            // The axiom is a single line
+            item.textContent = key === 'axiom'
+                ? `Axiom${error.column === null ? '' : `, column ${error.column}`}: ${error.message}`
+                : formatLSystemError(error);
+            item.title = "Click to show it";
+            item.addEventListener('click', () => selectGrammarError(grammarInputs[key], error));
+            lsystemErrors.appendChild(item);
+        }
+    }
+    return grammarErrors.axiom.length === 0 && grammarErrors.rules.length === 0;
+}
 
-        // Using spherical coordinates relative to the parent branch's direction (local Y)
-        // Azimuthal (spread) rotation around Y, then Polar (branch) rotation away from Y
-        const qSpread = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), spreadAngleRad);
-        const qBranch = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), branchAngleRad); // Rotate around X after spread
+/**
+ * Selects where a grammar error is in its input: the character at its column, or else the whole line.
+ * @param {HTMLInputElement|HTMLTextAreaElement} input - The axiom or rules input.
+ * @param {{line: number, column: number|null}} error - Error from checkLSystemAxiom/parseLSystemRules.
+ */
+function selectGrammarError(input, error) {
+    const lines = input.value.split('\n');
+    const lineStart = lines.slice(0, error.line - 1).reduce((offset, line) => offset + line.length + 1, 0);
+    const lineText = lines[error.line - 1] ?? '';
+    const start = error.column === null ? lineStart : lineStart + error.column - 1;
+    const end = error.column === null ? lineStart + lineText.length : start + 1;
+    input.focus();
+    input.setSelectionRange(start, end);
+}
 
-        const orientationQuat = new THREE.Quaternion().multiplyQuaternions(qSpread, qBranch); // Apply spread then branch angle
+// --- Parity Check ---
 
-        // --- Calculate the full matrix for the child's base ---
-        const rotationMatrix = new THREE.Matrix4().makeRotationFromQuaternion(orientationQuat);
-        const nextParentMatrix = new THREE.Matrix4().multiplyMatrices(childBaseMatrix, rotationMatrix);
+/**
+ * Reads back the instance matrices an InstancedMesh is currently displaying.
+ * @param {THREE.InstancedMesh} mesh - The mesh to read from.
+ * @returns {THREE.Matrix4[]} One matrix per drawn instance.
+ */
+function readInstanceMatrices(mesh) {
+    const matrices = [];
+    for (let i = 0; i < mesh.count; i++) {
+        const matrix = new THREE.Matrix4();
+        mesh.getMatrixAt(i, matrix);
+        matrices.push(matrix);
+    }
+    return matrices;
+}
 
-        // Recursively call, passing the child's starting matrix as the new parent matrix
-        collectBranchData(matricesArray, leafMatricesArray, nextLevel, nextParentMatrix, nextLength, nextRadius);
+/**
+ * Generates the displayed tree's params and seed again with tree_generator.js on the main thread and compares the
+ * result with the instances on screen, so a tree tuned here is known to match what the engine generates.
+ * While the worker is still generating, the meshes don't match the config yet, so the check waits for the next tree.
+ */
+function runParityCheck() {
+    const parityResult = document.getElementById('parityResult');
+    if (generationPending) {
+        parityResult.textContent = "A tree is still generating, run the check again once it is shown.";
+        parityResult.style.color = '';
+        return;
+    }
+    if (!treeInstancedMesh || !displayedParams) return;
+    const reference = generateTreeMatrices(displayedParams, { quiet: true });
+    const displayed = {
+        branchMatrices: readInstanceMatrices(treeInstancedMesh),
+        leafMatrices: readInstanceMatrices(leafInstancedMesh),
+    };
+    const report = compareTreeMatrices(displayed, reference);
+
+    if (report.match) {
+        parityResult.textContent = `Parity OK: ${report.branchCounts[0]} branches, ${report.leafCounts[0]} leaves match (seed ${displayedParams.seed}).`;
+        parityResult.style.color = '#8f8';
+    } else {
+        parityResult.textContent = `Parity FAILED: ${report.branchMismatches.length} branch / ${report.leafMismatches.length} leaf matrices differ`
+            + ` (editor ${report.branchCounts[0]}/${report.leafCounts[0]}, generator ${report.branchCounts[1]}/${report.leafCounts[1]},`
+            + ` max difference ${report.maxDifference.toExponential(2)}).`;
+        parityResult.style.color = '#f88';
     }
 }
 
@@ -386,45 +773,69 @@ function collectBranchData(matricesArray, leafMatricesArray, level, parentMatrix
 
 // --- Save Functionality ---
 
+/**
+ * Downloads an object as a pretty-printed JSON file.
+ * @param {object} object - What to save.
+ * @param {string} fileName - Suggested file name.
+ */
+function downloadJson(object, fileName) {
+    const jsonString = JSON.stringify(object, null, 2); // Pretty print JSON
+    const blob = new Blob([jsonString], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url); // Clean up the object URL
+}
+
 /**
  * Saves the full tree data including matrices and essential config.
  */
 function saveFullTreeData() {
-    if (!branchMatrices || !leafMatrices) {
+    if (!treeInstancedMesh || !leafInstancedMesh) {
         console.error("Tree data not generated yet.");
         alert("Please generate a tree first!");
         return;
     }
 
+    // The displayed instances are Float32, so generate the same tree again (same params and seed)
+    // to save full-precision matrices. The parity check confirms the two match.
+    const params = getTreeParams();
+    const result = generateTreeMatrices(params);
+    const { branchMatrices, leafMatrices } = result;
+
     // Convert Matrix4 arrays to serializable array-of-arrays
-    const serializableBranchMatrices = branchMatrices.slice(0, treeInstancedMesh.count).map(matrix => matrix.toArray());
-    const serializableLeafMatrices = leafMatrices.slice(0, leafInstancedMesh.count).map(matrix => matrix.toArray());
+    const serializableBranchMatrices = branchMatrices.map(matrix => matrix.toArray());
+    const serializableLeafMatrices = leafMatrices.map(matrix => matrix.toArray());
 
     const treeData = {
         // Include parameters needed to reconstruct the appearance/structure
         config: {
             taperFactor: config.taperFactor,
+            radialSegments: config.radialSegments,
             leafSize: config.leafSize,
-            branchColor: config.branchMaterial.color.getHexString(), // Save color as hex
-            leafColor: leafMaterial.color.getHexString(), // Save color as hex
+            ...getTreeMaterialParams(config), // Colors (hex strings), roughness and metalness
+            seed: config.seed, // Seed the matrices were generated with
             // Add other relevant config params if needed for the game loader
         },
+        metadata: createTreeMetadata(computeTreeStats(result, params)), // What the tree costs to draw (see tree_stats.js)
         branchMatrices: serializableBranchMatrices,
         leafMatrices: serializableLeafMatrices,
     };
+    if (hasColorVariation(config)) {
+        // Per-instance colors, so loaders show them without knowing the variation params
+        const { branchColors, leafColors } = computeInstanceColors(config, config.seed,
+            { matrices: branchMatrices, count: branchMatrices.length }, { matrices: leafMatrices, count: leafMatrices.length });
+        treeData.branchColors = instanceColorsToHex(branchColors);
+        treeData.leafColors = instanceColorsToHex(leafColors);
+    }
 
     try {
-        const jsonString = JSON.stringify(treeData, null, 2); // Pretty print JSON
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'tree_data.json';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url); // Clean up the object URL
+        downloadJson(stampTreeData(treeData), 'tree_data.json'); // With format markers
         console.log("Tree data saved.");
 
     } catch (error) {
@@ -437,26 +848,10 @@ function saveFullTreeData() {
  * Saves only the configuration parameters suitable for external generation.
  */
 function saveTreeParams() {
-    // Create a copy of the config object to filter
-    const paramsToSave = { ...config };
-
-    // Remove non-parameter properties
-    delete paramsToSave.branchMaterial;       // Material object is not needed
-    delete paramsToSave.maxInstanceEstimateFactor; // Internal editor detail
-    // Add any other properties to remove if they aren't pure generation parameters
+    const paramsToSave = getTreeParams();
 
     try {
-        const jsonString = JSON.stringify(paramsToSave, null, 2); // Pretty print JSON
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'tree_params.json'; // Different filename
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url); // Clean up the object URL
+        downloadJson(stampTreeParams(paramsToSave), 'tree_params.json'); // With format markers
         console.log("Tree parameters saved.");
 
     } catch (error) {
@@ -465,54 +860,765 @@ function saveTreeParams() {
     }
 }
 
+// --- Seed Handling ---
+
+/**
+ * Sets the seed used for generation and reflects it in the seed input.
+ * @param {number|string} seed - New seed value (normalized to an unsigned 32-bit integer).
+ */
+function setSeed(seed) {
+    config.seed = normalizeSeed(seed);
+    seedInput.value = config.seed;
+}
+
+/**
+ * Returns the number of decimals a slider's value is displayed with.
+ * @param {string} key - Config/slider key.
+ * @returns {number} Decimal places.
+ */
+function getSliderPrecision(key) {
+    if (key === 'lengthFactor' || key === 'radiusFactor' || key === 'minRadius' || key === 'taperFactor' || key === 'leafSize'
+        || key === 'initialRadius' || key === 'droop' || key === 'apicalDominance' || key.endsWith('Roughness')
+        || key.endsWith('Metalness') || key === 'saturationVariance' || key === 'lightnessVariance' || key === 'gradientStrength'
+        || key === 'stepSize') return 2;
+    if (key === 'initialLength' || key === 'influenceRadius' || key === 'killDistance' || key === 'crownRadius' || key === 'crownHeight') return 1;
+    return 0;
+}
+
+/**
+ * Moves a slider to config[key] and shows the value in its span.
+ * A range input clamps values outside its min/max, so those are flagged next to the slider
+ * (config keeps the real value, and the tree is generated with it).
+ * @param {string} key - Config/slider key.
+ */
+function updateSliderDisplay(key) {
+    const slider = sliders[key];
+    const value = config[key];
+    slider.value = value;
+    const outOfRange = value < parseFloat(slider.min) || value > parseFloat(slider.max);
+    valueSpans[key].textContent = value.toFixed(getSliderPrecision(key)) + (outOfRange ? ' (out of slider range)' : '');
+    valueSpans[key].classList.toggle('outOfRange', outOfRange);
+}
+
+/**
+ * Migrates (see tree_formats.js) and validates (see tree_schema.js) tree params from a file or local storage.
+ * @param {object} json - Parsed tree_params.json contents (any version).
+ * @returns {{valid: boolean, errors: object[], warnings: object[], params: object|null}} validateTreeParams() result
+ *          (the warnings start with the migration notice, if the file was upgraded).
+ */
+function checkTreeParams(json) {
+    const migration = migrateTreeParams(json);
+    if (migration.error) {
+        return { valid: false, errors: [{ field: null, message: migration.error }], warnings: [], params: null };
+    }
+    const validation = validateTreeParams(migration.data, { requireAll: true });
+    validation.warnings.unshift(...getMigrationWarnings(migration));
+    return validation;
+}
+
+/**
+ * Checks the contents of a params file: a tree_params.json (see checkTreeParams), or a Blender Sapling preset
+ * converted to Weber-Penn params (see tree_sapling.js; the preset fields it ignores are listed in the warnings).
+ * @param {string} fileName - Name of the file (.py files are Sapling presets).
+ * @param {string} text - File contents.
+ * @returns {{valid: boolean, errors: object[], warnings: object[], params: object|null}} validateTreeParams() result.
+ * @throws {Error} If the file can't be parsed.
+ */
+function checkTreeParamsFile(fileName, text) {
+    return isSaplingPresetFile(fileName) ? validateSaplingPreset(text) : checkTreeParams(JSON.parse(text));
+}
+
+/**
+ * Opens a tree_params.json file (or a Sapling preset): migrates and validates it, then applies it to the editor.
+ * Errors keep the current tree; warnings (e.g. values outside the slider ranges) are listed in the panel.
+ * @param {Event} event - The file input's change event.
+ */
+function openTreeParams(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const validation = checkTreeParamsFile(file.name, e.target.result);
+            showValidationMessages(paramMessages, validation);
+            if (validation.warnings.length > 0) {
+                console.warn("Tree params warnings:", validation.warnings);
+            }
+            if (!validation.valid) {
+                alert(`Invalid tree parameters:\n${formatValidationIssues(validation.errors)}`);
+                console.error("Invalid params format:", validation.errors);
+                return;
+            }
+            applyTreeParams(validation.params);
+            recordHistory(`Open ${file.name}`);
+        } catch (error) {
+            alert(`Failed to parse ${file.name}:\n${error.message}`);
+            console.error("Params Parsing Error:", error);
+        }
+    };
+    reader.onerror = function(e) {
+        alert("Failed to read file.");
+        console.error("File Reading Error:", e);
+    };
+    reader.readAsText(file);
+
+    event.target.value = null; // Reset file input to allow reopening the same file
+}
+
+/**
+ * Applies validated tree params to config and the controls, then regenerates the tree.
+ * A locked seed is kept (undo/redo, presets, species, opened files and links then only change the other params).
+ * @param {object} params - Params from validateTreeParams() (missing values filled with defaults).
+ */
+function applyTreeParams(params) {
+    for (const key in sliders) {
+        // initialRadius may be missing (derived from initialLength), keep the current one then
+        if (params[key] !== undefined) config[key] = params[key];
+        updateSliderDisplay(key);
+    }
+    for (const key in budgetInputs) {
+        config[key] = params[key];
+        budgetInputs[key].value = config[key];
+    }
+    const materialParams = getTreeMaterialParams(params); // Files saved before colors were params use the defaults
+    for (const key in colorInputs) {
+        config[key] = materialParams[key];
+        colorInputs[key].value = '#' + config[key];
+    }
+    config.colorGradient = params.colorGradient ?? 'none';
+    colorGradientSelect.value = config.colorGradient;
+    updateTreeColors();
+    config.algorithm = params.algorithm ?? 'recursive';
+    for (const key in grammarInputs) {
+        config[key] = params[key] ?? DEFAULT_LSYSTEM[key];
+    }
+    config.weberPenn = params.weberPenn ?? DEFAULT_WEBER_PENN;
+    updateGrammarInputs();
+    // The file's seed reproduces its tree. Without one (or with Lock Seed on), the current seed is kept.
+    if (params.seed !== undefined && !lockSeedCheckbox.checked) {
+        setSeed(params.seed);
+    }
+    generateTree();
+}
+
+// --- History (Undo/Redo) ---
+
+/**
+ * Adds the current params to the undo paramHistory.
+ * @param {string} label - What changed, shown in the history panel.
+ * @param {string} [mergeKey] - Consecutive quick edits with the same key are merged into one entry.
+ */
+function recordHistory(label, mergeKey) {
+    if (paramHistory.record(getTreeParams(), label, mergeKey)) {
+        renderHistoryPanel();
+        scheduleAutosave();
+        updateUrlHash();
+    }
+}
+
+/**
+ * Restores a history snapshot (from undo, redo or the history panel) and regenerates that exact tree.
+ * @param {object|null} params - Snapshot to restore, null if there was nothing to go to.
+ */
+function restoreHistory(params) {
+    if (!params) return;
+    applyTreeParams(params);
+    renderHistoryPanel();
+    scheduleAutosave();
+    updateUrlHash();
+}
+
+/**
+ * Redraws the history list (newest at the bottom, current entry highlighted) and the undo/redo buttons.
+ */
+function renderHistoryPanel() {
+    const current = paramHistory.getIndex();
+    historyList.innerHTML = '';
+    paramHistory.getEntries().forEach((entry, i) => {
+        const item = document.createElement('li');
+        item.textContent = entry.label;
+        item.className = i === current ? 'current' : (i > current ? 'undone' : '');
+        item.title = "Go back to this tree";
+        item.addEventListener('click', () => restoreHistory(paramHistory.jumpTo(i)));
+        historyList.appendChild(item);
+    });
+    historyList.children[current]?.scrollIntoView({ block: 'nearest' });
+    undoButton.disabled = !paramHistory.canUndo();
+    redoButton.disabled = !paramHistory.canRedo();
+}
+
+/**
+ * Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo.
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function onHistoryKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+    const target = event.target;
+    if (target instanceof HTMLInputElement && target.type !== 'range' && target.type !== 'checkbox') return;
+    if (target instanceof HTMLTextAreaElement) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        restoreHistory(paramHistory.undo());
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        restoreHistory(paramHistory.redo());
+    }
+}
+
+// --- Autosave ---
+
+/**
+ * Saves the current params locally (IndexedDB) shortly after the last change.
+ */
+function scheduleAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(writeAutosave, AUTOSAVE_DELAY_MS);
+}
+
+/**
+ * Saves the current params locally right away.
+ */
+function writeAutosave() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveAutosave(stampTreeParams(getTreeParams()))
+        .catch((error) => console.warn("Autosave failed:", error));
+}
+
+/**
+ * Generates the first tree: the one in the URL (a shared link) if there is one, else the autosaved one.
+ * @returns {Promise<void>}
+ */
+async function restoreInitialTree() {
+    if (openUrlHash("Opened link")) {
+        return;
+    }
+    let restored = false;
+    try {
+        const autosave = await loadAutosave();
+        if (autosave) {
+            const validation = checkTreeParams(autosave.params);
+            if (validation.valid) {
+                applyTreeParams(validation.params);
+                restored = true;
+            } else {
+                console.warn("Ignoring invalid autosave:", validation.errors);
+            }
+        }
+    } catch (error) {
+        console.warn("Autosave unavailable:", error);
+    }
+    if (!restored) {
+        generateTree();
+    }
+    recordHistory(restored ? "Restored autosave" : "Initial tree");
+}
+
+// --- Shareable URL ---
+
+/**
+ * Puts the current params and seed in the URL hash, so copying the URL shares this exact tree.
+ * Replaces the history entry instead of adding one per change (undo has its own history).
+ */
+function updateUrlHash() {
+    const hash = encodeTreeParamsHash(getTreeParams());
+    if (location.hash !== hash) {
+        history.replaceState(null, '', hash);
+    }
+}
+
+/**
+ * Updates the URL hash while a control is dragged or typed in, at most every URL_HASH_INTERVAL_MS (browsers
+ * throttle history.replaceState). The hash is read when the timer fires, so the last value always ends up in it.
+ */
+function scheduleUrlHashUpdate() {
+    if (urlHashTimer !== null) return;
+    urlHashTimer = setTimeout(() => {
+        urlHashTimer = null;
+        updateUrlHash();
+    }, URL_HASH_INTERVAL_MS);
+}
+
+/**
+ * Applies the params in the URL hash, if it has any.
+ * @param {string} label - History entry label.
+ * @returns {boolean} Whether the hash had valid params (and they were applied).
+ */
+function openUrlHash(label) {
+    const json = decodeTreeParamsHash(location.hash);
+    if (!json) return false;
+    const validation = checkTreeParams(json);
+    showValidationMessages(paramMessages, validation);
+    if (!validation.valid) {
+        alert(`Invalid tree parameters in the link:\n${formatValidationIssues(validation.errors)}`);
+        console.error("Invalid URL params:", validation.errors);
+        return false;
+    }
+    applyTreeParams(validation.params);
+    recordHistory(label);
+    return true;
+}
+
+/**
+ * Copies the link to the current tree to the clipboard.
+ */
+function copyTreeLink() {
+    updateUrlHash();
+    navigator.clipboard.writeText(location.href)
+        .then(() => {
+            copyLinkButton.textContent = "Link Copied!";
+            setTimeout(() => { copyLinkButton.textContent = "Copy Link"; }, 1500);
+        })
+        .catch((error) => {
+            console.error("Failed to copy link:", error);
+            prompt("Copy this link:", location.href);
+        });
+}
+
+// --- Preset Library ---
+
+/**
+ * Captures the current view as a small JPEG for the preset list.
+ * @returns {string} Image data URL.
+ */
+function createThumbnail() {
+    renderer.render(scene, camera); // The drawing buffer is only valid right after rendering
+    const source = renderer.domElement;
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = Math.round(THUMBNAIL_WIDTH * source.height / source.width);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Splits a comma separated tag list.
+ * @param {string} text - e.g. "oak, autumn".
+ * @returns {string[]} Trimmed, non-empty, unique tags.
+ */
+function parseTags(text) {
+    return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Saves the current tree as a new preset (name and tags from the panel inputs).
+ */
+async function saveCurrentPreset() {
+    if (!treeInstancedMesh) {
+        alert("Please wait for the tree to finish generating.");
+        return;
+    }
+    const name = presetNameInput.value.trim() || `Tree ${config.seed}`;
+    try {
+        await createPreset({
+            name,
+            tags: parseTags(presetTagsInput.value),
+            params: stampTreeParams(getTreeParams()),
+            thumbnail: createThumbnail()
+        });
+        presetNameInput.value = '';
+        presetTagsInput.value = '';
+        await renderPresetList();
+    } catch (error) {
+        console.error("Failed to save preset:", error);
+        alert("Failed to save preset.");
+    }
+}
+
+/**
+ * Loads a preset into the editor.
+ * @param {object} preset - Preset record (see preset_store.js).
+ */
+function loadPreset(preset) {
+    const validation = checkTreeParams(preset.params);
+    showValidationMessages(paramMessages, validation);
+    if (!validation.valid) {
+        alert(`Invalid preset "${preset.name}":\n${formatValidationIssues(validation.errors)}`);
+        return;
+    }
+    applyTreeParams(validation.params);
+    recordHistory(`Load preset ${preset.name}`);
+}
+
+/**
+ * Runs a preset list action, then refreshes the list.
+ * @param {function(): Promise<*>} action - The store operation.
+ * @param {string} description - What is being done, for the error message.
+ */
+async function runPresetAction(action, description) {
+    try {
+        await action();
+    } catch (error) {
+        console.error(`Failed to ${description}:`, error);
+        alert(`Failed to ${description}.`);
+    }
+    await renderPresetList();
+}
+
+/**
+ * Imports tree_params.json files (and Sapling presets, see tree_sapling.js) as presets.
+ * @param {Event} event - The file input's change event.
+ */
+async function importPresets(event) {
+    const files = [...event.target.files];
+    event.target.value = null; // Reset file input to allow importing the same files again
+    const failures = [];
+    const warnings = []; // E.g. the fields of Sapling presets that are ignored
+    for (const file of files) {
+        try {
+            const validation = checkTreeParamsFile(file.name, await file.text());
+            warnings.push(...validation.warnings.map((warning) => ({ ...warning, message: `${file.name}: ${warning.message}` })));
+            if (!validation.valid) {
+                failures.push(`${file.name}:\n${formatValidationIssues(validation.errors)}`);
+                continue;
+            }
+            await createPreset({
+                name: file.name.replace(/(_params)?\.(json|py)$/i, ''),
+                params: stampTreeParams(validation.params)
+            });
+        } catch (error) {
+            console.error(`Failed to import ${file.name}:`, error);
+            failures.push(`${file.name}: ${error.message}`);
+        }
+    }
+    showValidationMessages(paramMessages, { errors: [], warnings });
+    if (failures.length > 0) {
+        alert(`Some files could not be imported:\n${failures.join('\n')}`);
+    }
+    await renderPresetList();
+}
+
+/**
+ * Creates a small button for a preset list row.
+ * @param {string} text - Button label.
+ * @param {function(): void} onClick - Click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createPresetButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Redraws the preset list, filtered by the name/tag filter input.
+ * @returns {Promise<void>}
+ */
+async function renderPresetList() {
+    let presets;
+    try {
+        presets = await listPresets();
+    } catch (error) {
+        presetList.textContent = "Presets are unavailable (no IndexedDB).";
+        console.warn("Preset library unavailable:", error);
+        return;
+    }
+
+    const filter = presetFilterInput.value.trim().toLowerCase();
+    const shown = filter
+        ? presets.filter(preset => preset.name.toLowerCase().includes(filter)
+            || preset.tags.some(tag => tag.toLowerCase().includes(filter)))
+        : presets;
+
+    presetList.innerHTML = '';
+    if (shown.length === 0) {
+        presetList.textContent = presets.length === 0 ? "No presets yet." : "No presets match the filter.";
+        return;
+    }
+    for (const preset of shown) {
+        const row = document.createElement('div');
+        row.className = 'presetItem';
+
+        const thumbnail = document.createElement(preset.thumbnail ? 'img' : 'div');
+        thumbnail.className = 'presetThumbnail';
+        if (preset.thumbnail) thumbnail.src = preset.thumbnail;
+        thumbnail.title = "Load";
+        thumbnail.addEventListener('click', () => loadPreset(preset));
+        row.appendChild(thumbnail);
+
+        const info = document.createElement('div');
+        info.className = 'presetInfo';
+        const name = document.createElement('div');
+        name.className = 'presetName';
+        name.textContent = preset.name;
+        const tags = document.createElement('div');
+        tags.className = 'presetTags';
+        tags.textContent = preset.tags.join(', ');
+        info.append(name, tags);
+
+        const actions = document.createElement('div');
+        actions.className = 'presetActions';
+        actions.append(
+            createPresetButton("Load", () => loadPreset(preset)),
+            createPresetButton("Rename", () => {
+                const newName = prompt("Preset name:", preset.name);
+                if (newName && newName.trim()) {
+                    runPresetAction(() => updatePreset(preset.id, { name: newName.trim() }), "rename preset");
+                }
+            }),
+            createPresetButton("Tags", () => {
+                const newTags = prompt("Tags (comma separated):", preset.tags.join(', '));
+                if (newTags !== null) {
+                    runPresetAction(() => updatePreset(preset.id, { tags: parseTags(newTags) }), "change tags");
+                }
+            }),
+            createPresetButton("Duplicate", () => {
+                runPresetAction(() => createPreset({ ...preset, name: `${preset.name} copy` }), "duplicate preset");
+            }),
+            createPresetButton("Export", () => {
+                downloadJson(preset.params, `${preset.name.replace(/[^\w-]+/g, '_')}_params.json`);
+            }),
+            createPresetButton("Delete", () => {
+                if (confirm(`Delete preset "${preset.name}"?`)) {
+                    runPresetAction(() => deletePreset(preset.id), "delete preset");
+                }
+            })
+        );
+        info.appendChild(actions);
+        row.appendChild(info);
+        presetList.appendChild(row);
+    }
+}
+
+// --- Species Gallery ---
+
+/** Params a species tile keeps from the current tree; all others come from the preset or the schema defaults. */
+const SPECIES_KEPT_PARAMS = ['seed', 'maxBranches', 'maxLeaves', 'maxTriangles'];
+
+/**
+ * Applies a built-in species preset (see tree_species.js) to the current tree.
+ * The seed and instance budget are kept, so the same tree grows as a different species. The params the preset
+ * doesn't set go back to their defaults, so a tile always gives the same species whatever was shown before.
+ * @param {string} name - TREE_SPECIES key.
+ */
+function applySpecies(name) {
+    const species = TREE_SPECIES[name];
+    const params = {};
+    for (const [field, schema] of Object.entries(TREE_PARAM_SCHEMA)) {
+        if (schema.default !== undefined) params[field] = schema.default;
+    }
+    const current = getTreeParams();
+    for (const field of SPECIES_KEPT_PARAMS) {
+        params[field] = current[field];
+    }
+    // The presets are recursive trees (the default algorithm) unless they name another one
+    const validation = validateTreeParams({ ...params, ...species.params }, { requireAll: true });
+    showValidationMessages(paramMessages, validation);
+    if (!validation.valid) {
+        alert(`Invalid species preset "${species.label}":\n${formatValidationIssues(validation.errors)}`);
+        return;
+    }
+    applyTreeParams(validation.params);
+    recordHistory(`Species ${species.label}`);
+}
+
+/**
+ * Fills the species gallery. The tiles appear at once; their thumbnails are rendered offscreen
+ * one per frame, so the page stays responsive while the larger species generate.
+ * @returns {Promise<void>}
+ */
+async function renderSpeciesGallery() {
+    const thumbnails = [];
+    for (const [name, species] of Object.entries(TREE_SPECIES)) {
+        const tile = document.createElement('div');
+        tile.className = 'speciesItem';
+        tile.title = species.description;
+        tile.addEventListener('click', () => applySpecies(name));
+
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'speciesThumbnail';
+        thumbnail.alt = '';
+        const label = document.createElement('div');
+        label.textContent = species.label;
+        tile.append(thumbnail, label);
+        speciesGallery.appendChild(tile);
+        thumbnails.push([thumbnail, species]);
+    }
+
+    let thumbnailRenderer;
+    try {
+        thumbnailRenderer = createTreeThumbnailRenderer(SPECIES_THUMBNAIL_SIZE);
+        for (const [thumbnail, species] of thumbnails) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
+            // Same seed for every species, so the gallery looks the same on every visit
+            thumbnail.src = thumbnailRenderer.render({ ...species.params, seed: 1 });
+        }
+    } catch (error) {
+        console.warn("Species thumbnails unavailable:", error); // The tiles still work without them
+    } finally {
+        thumbnailRenderer?.dispose();
+    }
+}
+
 // --- UI Update Logic ---
 function setupUIListeners() {
     for (const key in sliders) {
         sliders[key].addEventListener('input', (event) => {
             const value = parseFloat(event.target.value);
-            // Store the old taper factor if the current slider is the taper slider
-            const isTaperSlider = key === 'taperFactor';
-            const oldTaperFactor = isTaperSlider ? config.taperFactor : null;
+            const oldValue = config[key];
 
             config[key] = value;
-            let precision = 0;
-            if (key === 'lengthFactor' || key === 'radiusFactor' || key === 'minRadius' || key === 'taperFactor' || key === 'leafSize'
-                || key === 'initialRadius') precision = 2;
-            else if (key === 'initialLength') precision = 1;
-            valueSpans[key].textContent = value.toFixed(precision);
-
-            // If the taper factor changed, the base geometry MUST be recreated.
-            // Other changes only require updating matrices.
-            // We call generateTree for all changes for simplicity, which handles geometry recreation.
-            generateTree();
+            valueSpans[key].textContent = value.toFixed(getSliderPrecision(key));
+            valueSpans[key].classList.remove('outOfRange');
+
+            // Visual parameters restyle the current instances. Structural ones rebuild the tree
+            // with the same seed, so the shape morphs smoothly instead of being re-rolled.
+            if (VISUAL_PARAMS.has(key)) {
+                restyleTree(key, oldValue);
+            } else {
+                generateTree();
+            }
+            scheduleUrlHashUpdate();
+        });
+        // One history entry per drag ('change' fires on release), quick keyboard nudges are merged
+        sliders[key].addEventListener('change', () => {
+            recordHistory(`${key} = ${valueSpans[key].textContent}`, key);
         });
         // Initialize display values
-        let precision = 0;
-        if (key === 'lengthFactor' || key === 'radiusFactor' || key === 'minRadius' || key === 'taperFactor' || key === 'leafSize'
-            || key === 'initialRadius') precision = 2;
-        else if (key === 'initialLength') precision = 1;
-        valueSpans[key].textContent = parseFloat(sliders[key].value).toFixed(precision);
+        updateSliderDisplay(key);
+    }
+
+    // Color pickers restyle the materials while dragging, one history entry when closed
+    for (const key in colorInputs) {
+        colorInputs[key].value = '#' + config[key];
+        colorInputs[key].addEventListener('input', () => {
+            config[key] = colorInputs[key].value.slice(1);
+            updateTreeColors();
+            scheduleUrlHashUpdate();
+        });
+        colorInputs[key].addEventListener('change', () => {
+            recordHistory(`${key} = ${colorInputs[key].value}`, key);
+        });
+    }
+
+    colorGradientSelect.value = config.colorGradient;
+    colorGradientSelect.addEventListener('change', () => {
+        config.colorGradient = colorGradientSelect.value;
+        updateTreeColors();
+        recordHistory(`colorGradient = ${config.colorGradient}`);
+    });
+
+    // The grammar regenerates the tree while typing, as long as it parses; errors are listed below it
+    updateGrammarInputs();
+    algorithmSelect.addEventListener('change', () => {
+        config.algorithm = algorithmSelect.value;
+        updateGrammarInputs();
+        generateTree();
+        recordHistory(`algorithm = ${config.algorithm}`);
+    });
+    for (const key in grammarInputs) {
+        grammarInputs[key].addEventListener('input', () => {
+            config[key] = grammarInputs[key].value;
+            if (showGrammarErrors()) {
+                generateTree();
+            }
+            scheduleUrlHashUpdate();
+        });
+        grammarInputs[key].addEventListener('change', () => {
+            recordHistory(`${key} edited`, key);
+        });
+    }
+    weberPennInput.addEventListener('input', () => {
+        const value = readWeberPennInput();
+        if (value) {
+            config.weberPenn = value;
+            generateTree();
+            scheduleUrlHashUpdate();
+        }
+    });
+    weberPennInput.addEventListener('change', () => {
+        recordHistory('weberPenn edited', 'weberPenn');
+    });
+
+    // Budget inputs rebuild the tree (0 = no limit)
+    for (const key in budgetInputs) {
+        budgetInputs[key].value = config[key];
+        budgetInputs[key].addEventListener('change', () => {
+            config[key] = Math.max(0, parseInt(budgetInputs[key].value, 10) || 0);
+            budgetInputs[key].value = config[key];
+            generateTree();
+            recordHistory(`${key} = ${config[key]}`, key);
+        });
     }
 
     // Add listener for the Randomize button
     const randomizeButton = document.getElementById('randomizeButton');
     if (randomizeButton) {
         randomizeButton.addEventListener('click', () => {
+            setSeed(randomSeed()); // New seed => new random variations
             generateTree(); // Regenerate tree with current settings, applying new randomness
+            recordHistory(`Randomize (seed ${config.seed})`);
         });
     }
 
+    // Seed input: typing a seed reproduces that exact tree
+    setSeed(config.seed);
+    seedInput.addEventListener('change', () => {
+        setSeed(seedInput.value);
+        generateTree();
+        recordHistory(`Seed ${config.seed}`);
+    });
+
+    // Lock Seed protects the current seed from Randomize, manual edits and applied params (see applyTreeParams)
+    lockSeedCheckbox.addEventListener('change', () => {
+        const locked = lockSeedCheckbox.checked;
+        seedInput.readOnly = locked;
+        if (randomizeButton) randomizeButton.disabled = locked;
+    });
+
+    // Undo/redo
+    undoButton.addEventListener('click', () => restoreHistory(paramHistory.undo()));
+    redoButton.addEventListener('click', () => restoreHistory(paramHistory.redo()));
+    window.addEventListener('keydown', onHistoryKeyDown);
+
+    // Shareable URL: pasting a link into this tab opens its tree
+    window.addEventListener('hashchange', () => openUrlHash("Opened link"));
+    copyLinkButton.addEventListener('click', copyTreeLink);
+
+    // Write a pending autosave before the tab closes
+    window.addEventListener('pagehide', () => {
+        if (autosaveTimer !== null) writeAutosave();
+    });
+
+    // Preset library
+    document.getElementById('savePresetButton').addEventListener('click', saveCurrentPreset);
+    presetFilterInput.addEventListener('input', renderPresetList);
+    const importPresetsInput = document.getElementById('importPresetsInput');
+    document.getElementById('importPresetsButton').addEventListener('click', () => importPresetsInput.click());
+    importPresetsInput.addEventListener('change', importPresets);
+
     // Add listener for the Save Data button
     const saveDataButton = document.getElementById('saveDataButton');
     if (saveDataButton) {
         saveDataButton.addEventListener('click', saveFullTreeData);
     }
 
+    // Open Params: the hidden file input does the file picking
+    const openParamsButton = document.getElementById('openParamsButton');
+    const openParamsInput = document.getElementById('openParamsInput');
+    if (openParamsButton && openParamsInput) {
+        openParamsButton.addEventListener('click', () => openParamsInput.click());
+        openParamsInput.addEventListener('change', openTreeParams);
+    }
+
     // Add listener for the Save Params button
     const saveParamsButton = document.getElementById('saveParamsButton');
     if (saveParamsButton) {
         saveParamsButton.addEventListener('click', saveTreeParams);
     }
+
+    // Add listener for the Parity Check button
+    const parityButton = document.getElementById('parityButton');
+    if (parityButton) {
+        parityButton.addEventListener('click', runParityCheck);
+    }
 }
 
 // --- Window Resize Handler ---
@@ -527,6 +1633,13 @@ function animate() {
     requestAnimationFrame(animate);
     controls.update();
     renderer.render(scene, camera);
+    statsOverlay.frame(renderer);
+
+    const now = performance.now();
+    if (now - lastStatsUpdate > STATS_INTERVAL_MS) {
+        lastStatsUpdate = now;
+        updateRenderStats();
+    }
 }
 
 // --- Start ---
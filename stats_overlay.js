@@ -0,0 +1,79 @@
+/**
+ * Live statistics overlay, shared by the editor and both loaders: the displayed tree's stats
+ * (see tree_stats.js) plus the renderer's draw calls and the frame time, measured in the page's animation loop.
+ * Each page positions and styles its own overlay element.
+ */
+
+/** How often the text is refreshed (ms); frame times are averaged over this interval. */
+const REFRESH_INTERVAL_MS = 500;
+
+/**
+ * Formats a number with thousands separators.
+ * @param {number} value - The number.
+ * @returns {string} Formatted number.
+ */
+function formatCount(value) {
+    return value.toLocaleString('en-US');
+}
+
+/**
+ * Creates the overlay in a page element.
+ * @param {HTMLElement} element - Element to fill (its text is replaced on every refresh).
+ * @returns {{setTree: function(object|null): void, frame: function(THREE.WebGLRenderer): void}}
+ *          setTree(stats) shows a tree's computeTreeStats() result (null when no tree is shown);
+ *          frame(renderer) is called once per animation frame, after rendering.
+ */
+export function createStatsOverlay(element) {
+    let treeStats = null;
+    let lastFrameAt = null;
+    let frameTimeSum = 0;
+    let frameCount = 0;
+    let lastRefreshAt = 0;
+
+    function refresh(renderer, frameMs) {
+        const lines = [];
+        if (treeStats) {
+            const { branchCount, leafCount, triangleCount, drawCalls, height, crownWidth, generationMs, truncated } = treeStats;
+            lines.push(
+                `Branches:   ${formatCount(branchCount)}`,
+                `Leaves:     ${formatCount(leafCount)}`,
+                `Triangles:  ${formatCount(triangleCount)}`,
+                `Tree draws: ${drawCalls}`,
+                `Height:     ${height.toFixed(2)}`,
+                `Crown:      ${crownWidth.toFixed(2)}`,
+                `Generated:  ${generationMs === null ? '-' : `${generationMs.toFixed(1)} ms`}`,
+                `Cap hit:    ${truncated === null ? '-' : (truncated ? 'YES, tree truncated' : 'no')}`
+            );
+        } else {
+            lines.push('No tree');
+        }
+        // Whole scene, including the ground and the shadow pass
+        lines.push(
+            `Draw calls: ${renderer.info.render.calls}`,
+            `Frame:      ${frameMs === null ? '-' : `${frameMs.toFixed(1)} ms (${Math.round(1000 / frameMs)} fps)`}`
+        );
+        element.textContent = lines.join('\n');
+        element.classList.toggle('truncated', treeStats?.truncated === true);
+    }
+
+    function setTree(stats) {
+        treeStats = stats;
+        lastRefreshAt = 0; // Show it on the next frame
+    }
+
+    function frame(renderer) {
+        const now = performance.now();
+        if (lastFrameAt !== null) {
+            frameTimeSum += now - lastFrameAt;
+            frameCount++;
+        }
+        lastFrameAt = now;
+        if (now - lastRefreshAt < REFRESH_INTERVAL_MS) return;
+        lastRefreshAt = now;
+        refresh(renderer, frameCount > 0 ? frameTimeSum / frameCount : null);
+        frameTimeSum = 0;
+        frameCount = 0;
+    }
+
+    return { setTree, frame };
+}
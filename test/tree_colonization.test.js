@@ -0,0 +1,30 @@
+/**
+ * Space colonization trees (tree_colonization.js, drawn by tree_generator.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTreeMatrices, compareTreeMatrices } from '../tree_generator.js';
+
+test('the planned instance counts match the drawn tree', () => {
+    const result = generateTreeMatrices({ algorithm: 'spaceColonization', seed: 7 }, { quiet: true });
+    assert.ok(result.leafCount > 0);
+    assert.equal(result.branchCount, result.budget.predicted.branches);
+    assert.equal(result.leafCount, result.budget.predicted.leaves);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('a trunk that never branches gets no leaves and a warning', () => {
+    const config = { algorithm: 'spaceColonization', seed: 7, initialLength: 30, crownRadius: 2, influenceRadius: 1, stepSize: 0.5 };
+    const result = generateTreeMatrices(config, { quiet: true });
+    assert.ok(result.branchCount > 0);
+    assert.equal(result.leafCount, 0);
+    assert.deepEqual(result.warnings.filter((warning) => warning.field === null).map((warning) => warning.message.split(',')[0]),
+        ['Space colonization grew no branches']);
+});
+
+test('generateTreeMatrices builds the same space colonization tree for the same seed', () => {
+    const config = { algorithm: 'spaceColonization', seed: 'reproducible' };
+    const first = generateTreeMatrices(config, { quiet: true });
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices(config, { quiet: true })).match, true);
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices({ ...config, seed: 'different' }, { quiet: true })).match, false);
+});
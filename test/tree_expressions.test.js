@@ -0,0 +1,31 @@
+/**
+ * Arithmetic expressions of parametric L-system rules (tree_expressions.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileExpression } from '../tree_expressions.js';
+
+test('compileExpression follows the operator precedence', () => {
+    assert.equal(compileExpression('1 + 2 * 3')([]), 7);
+    assert.equal(compileExpression('(1 + 2) * 3')([]), 9);
+    assert.equal(compileExpression('-2 ^ 2')([]), -4);
+    assert.equal(compileExpression('2 ^ 3 ^ 2')([]), 512);
+    assert.equal(compileExpression('7 % 4 + 10 / 4')([]), 5.5);
+});
+
+test('compileExpression evaluates names, comparisons, logic and functions', () => {
+    const evaluate = compileExpression('l > 1 && w <= 0.5', ['l', 'w']);
+    assert.equal(evaluate([2, 0.5]), 1);
+    assert.equal(evaluate([1, 0.5]), 0);
+    assert.equal(compileExpression('!0 || x', ['x'])([0]), 1);
+    assert.equal(compileExpression('max(1, l, 3) + min(4, 2)', ['l'])([5]), 7);
+    assert.ok(Math.abs(compileExpression('sin(90) + cos(180)')([]) - 0) < 1e-12); // Degrees
+});
+
+test('compileExpression rejects unknown names and code, with the position', () => {
+    assert.throws(() => compileExpression('l * 2', []), (error) => error.position === 0);
+    assert.throws(() => compileExpression('1 +', []), (error) => typeof error.position === 'number');
+    assert.throws(() => compileExpression('alert(1)', []), /alert/);
+    assert.throws(() => compileExpression('min()', []), Error);
+    assert.throws(() => compileExpression('1 2', []), (error) => error.position === 2);
+});
@@ -0,0 +1,41 @@
+/**
+ * File format markers and migrations (tree_formats.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TREE_PARAMS_VERSION, TREE_DATA_VERSION, migrateTreeParams, migrateTreeData, getMigrationWarnings,
+    stampTreeParams, detectTreeFormat
+} from '../tree_formats.js';
+
+test('migrateTreeParams upgrades version 1 files and reports it', () => {
+    const migration = migrateTreeParams({ maxDepth: 4, maxInstanceEstimateFactor: 2 });
+    assert.equal(migration.error, null);
+    assert.equal(migration.fromVersion, 1);
+    assert.equal(migration.toVersion, TREE_PARAMS_VERSION);
+    assert.deepEqual(migration.data, { maxDepth: 4 });
+    assert.equal(getMigrationWarnings(migration).length, 1);
+    assert.match(getMigrationWarnings(migration)[0].message, /version 1 and upgraded to version 2/);
+});
+
+test('migrateTreeParams keeps current files as they are, without a warning', () => {
+    const migration = migrateTreeParams(stampTreeParams({ maxDepth: 4, seed: 7 }));
+    assert.equal(migration.error, null);
+    assert.equal(migration.fromVersion, TREE_PARAMS_VERSION);
+    assert.deepEqual(migration.data, { maxDepth: 4, seed: 7 });
+    assert.deepEqual(getMigrationWarnings(migration), []);
+});
+
+test('migrateTreeParams rejects newer versions and other file types', () => {
+    const newer = migrateTreeParams({ format: 'tree-params', version: TREE_PARAMS_VERSION + 1, maxDepth: 4 });
+    assert.equal(newer.data, null);
+    assert.match(newer.error, /only supports up to version/);
+    assert.deepEqual(getMigrationWarnings(newer), []);
+
+    const data = { branchMatrices: [], leafMatrices: [] };
+    assert.equal(detectTreeFormat(data), 'tree-data');
+    assert.match(migrateTreeParams(data).error, /tree-data file/);
+    const dataMigration = migrateTreeData(data);
+    assert.equal(dataMigration.error, null);
+    assert.equal(dataMigration.toVersion, TREE_DATA_VERSION);
+});
@@ -0,0 +1,22 @@
+/**
+ * Instance limits of the recursive generator (tree_generator.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateTreeMatrices } from '../tree_generator.js';
+
+test('a full leaf limit cuts leaves but keeps the trunk', () => {
+    const result = generateTreeMatrices({ seed: 1, maxLeaves: 1 }, { quiet: true });
+    assert.equal(result.branchCount, 1);
+    assert.equal(result.leafCount, 1);
+    assert.equal(result.truncated, true);
+});
+
+test('the safety cap stops branches and leaves separately', () => {
+    const full = generateTreeMatrices({ seed: 1, maxDepth: 8, minRadius: 0.001 }, { quiet: true });
+    const capped = generateTreeMatrices({ seed: 1, maxDepth: 8, minRadius: 0.001 }, { quiet: true, maxInstances: 50 });
+    assert.ok(full.branchCount > 50 && full.leafCount > 50);
+    assert.equal(capped.branchCount, 50);
+    assert.equal(capped.leafCount, 50);
+    assert.equal(capped.truncated, true);
+});
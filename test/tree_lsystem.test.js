@@ -0,0 +1,85 @@
+/**
+ * L-system grammars (tree_lsystem.js) and the trees they grow.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLSystemRules, checkLSystemAxiom, expandLSystem, countLSystemInstances } from '../tree_lsystem.js';
+import { createRandom } from '../tree_random.js';
+import { generateTreeMatrices, compareTreeMatrices } from '../tree_generator.js';
+
+/** Writes modules back as text, e.g. 'F(2)[+A(1.4)]'. */
+function format(modules) {
+    return modules.map(({ symbol, params }) => params.length > 0 ? `${symbol}(${params.join(',')})` : symbol).join('');
+}
+
+/** Expands an axiom with rules text (which must parse). */
+function expand(axiom, rulesText, iterations, options) {
+    const { rules, errors } = parseLSystemRules(rulesText);
+    assert.deepEqual(errors, []);
+    return expandLSystem(axiom, rules, iterations, options);
+}
+
+test('expandLSystem rewrites every module in parallel', () => {
+    const result = expand('A', 'A -> AB\nB -> A', 4);
+    assert.equal(format(result.modules), 'ABAABABA');
+    assert.equal(result.iterations, 4);
+    assert.equal(result.truncated, false);
+    assert.deepEqual(countLSystemInstances(expand('F', 'F -> F[+F]L', 2).modules), { branches: 4, leaves: 3 });
+});
+
+test('expandLSystem stops before the string grows past maxLength', () => {
+    const result = expand('F', 'F -> FF', 10, { maxLength: 100 });
+    assert.equal(result.truncated, true);
+    assert.equal(result.iterations, 6);
+    assert.equal(result.modules.length, 64);
+});
+
+test('parseLSystemRules reports each bad line with its line and column', () => {
+    const { rules, errors } = parseLSystemRules('# comment\nF -> F[+F\nA -> B\nA -> C');
+    assert.deepEqual(errors.map((error) => error.line), [2, 4]);
+    assert.ok(errors.every((error) => error.column > 0));
+    assert.match(errors[1].message, /already has a rule \(line 3\)/);
+    assert.deepEqual(Object.keys(rules), ['A']);
+});
+
+test('checkLSystemAxiom rejects empty and unbalanced axioms', () => {
+    assert.deepEqual(checkLSystemAxiom('F[+F]A'), []);
+    assert.equal(checkLSystemAxiom('').length, 1);
+    assert.equal(checkLSystemAxiom('F[+F').length, 1);
+});
+
+test('expandLSystem passes parameters through expressions and conditions', () => {
+    const rules = 'A(l) : l >= 1 -> F(l)[+A(l/2)]\nA(l) : l < 1 -> L';
+    assert.equal(format(expand('A(2)', rules, 3).modules), 'F(2)[+F(1)[+L]]');
+    assert.deepEqual(countLSystemInstances(expand('A(2)', rules, 3).modules), { branches: 2, leaves: 1 });
+});
+
+test('expandLSystem picks stochastic rules from its random stream', () => {
+    const rules = 'A -> FA : 0.5\nA -> LA : 0.5';
+    const first = expand('A', rules, 12, { random: createRandom(3) });
+    const second = expand('A', rules, 12, { random: createRandom(3) });
+    assert.equal(format(first.modules), format(second.modules));
+    const symbols = new Set(first.modules.map((module) => module.symbol));
+    assert.ok(symbols.has('F') && symbols.has('L'));
+});
+
+test('parseLSystemRules allows several rules for a module with conditions or probabilities', () => {
+    const { rules, errors } = parseLSystemRules('A(l) : l > 1 -> F(l)A(l-1)\nA(l) : l <= 1 -> L\nB -> F : 0.3\nB -> L : 0.7');
+    assert.deepEqual(errors, []);
+    assert.equal(rules.A.length, 2);
+    assert.equal(rules.B.length, 2);
+    assert.equal(parseLSystemRules('B -> F : 1.5').errors.length, 1);
+});
+
+test('checkLSystemAxiom accepts constant module parameters only', () => {
+    assert.deepEqual(checkLSystemAxiom('A(1, 2 * 3)'), []);
+    assert.equal(checkLSystemAxiom('A(x)').length, 1);
+});
+
+test('generateTreeMatrices builds the same L-system tree for the same seed', () => {
+    const config = { algorithm: 'lsystem', seed: 'reproducible' };
+    const first = generateTreeMatrices(config, { quiet: true });
+    assert.ok(first.branchCount > 0);
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices(config, { quiet: true })).match, true);
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices({ ...config, seed: 'different' }, { quiet: true })).match, false);
+});
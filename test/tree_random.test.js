@@ -0,0 +1,53 @@
+/**
+ * Seeded generation (tree_random.js): the same seed always gives the same random stream and the same tree.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSeed, createRandom, deriveSeed } from '../tree_random.js';
+import { generateTreeMatrices, compareTreeMatrices } from '../tree_generator.js';
+
+/** Draws the first values of a random stream. */
+function draw(random, count) {
+    return Array.from({ length: count }, () => random());
+}
+
+test('normalizeSeed keeps unsigned integers, truncates numbers and hashes text', () => {
+    assert.equal(normalizeSeed(42), 42);
+    assert.equal(normalizeSeed(42.9), 42);
+    assert.equal(normalizeSeed(-42), 42);
+    assert.equal(normalizeSeed('42'), 42);
+    assert.equal(normalizeSeed('oak'), normalizeSeed('oak'));
+    assert.notEqual(normalizeSeed('oak'), normalizeSeed('birch'));
+    assert.ok(normalizeSeed('oak') >= 0 && normalizeSeed('oak') <= 0xFFFFFFFF);
+});
+
+test('createRandom repeats its stream for a seed, and reseed restarts it', () => {
+    const values = draw(createRandom(1234), 10);
+    assert.deepEqual(draw(createRandom(1234), 10), values);
+    assert.deepEqual(draw(createRandom('1234'), 10), values);
+    assert.notDeepEqual(draw(createRandom(1235), 10), values);
+    assert.ok(values.every((value) => value >= 0 && value < 1));
+
+    const random = createRandom(99);
+    draw(random, 5);
+    assert.deepEqual(draw(random.reseed(1234), 10), values);
+});
+
+test('deriveSeed gives stable, distinct child seeds', () => {
+    assert.equal(deriveSeed(7, 3), deriveSeed(7, 3));
+    const children = new Set(Array.from({ length: 100 }, (_, index) => deriveSeed(7, index)));
+    assert.equal(children.size, 100);
+    assert.notEqual(deriveSeed(7, 0), deriveSeed(8, 0));
+});
+
+test('generateTreeMatrices builds the same tree for the same seed', () => {
+    const config = { seed: 'reproducible', maxDepth: 4 };
+    const first = generateTreeMatrices(config, { quiet: true });
+    const second = generateTreeMatrices(config, { quiet: true });
+    assert.equal(first.seed, normalizeSeed('reproducible'));
+    assert.ok(first.branchCount > 0);
+    assert.equal(compareTreeMatrices(first, second).match, true);
+
+    const other = generateTreeMatrices({ ...config, seed: 'different' }, { quiet: true });
+    assert.equal(compareTreeMatrices(first, other).match, false);
+});
@@ -0,0 +1,76 @@
+/**
+ * Blender Sapling preset import (tree_sapling.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePythonLiteral, convertSaplingPreset, validateSaplingPreset, isSaplingPresetFile } from '../tree_sapling.js';
+import { generateTreeMatrices } from '../tree_generator.js';
+
+/** A small preset, as Sapling saves them (one dict, tuples per level, the shape as an enum string). */
+const PRESET = `{'do_update': True, 'chooseSet': '0', 'bevel': True, 'seed': 12,
+'levels': 2, 'shape': '7', 'scale': 13.0, 'scaleV': 3.0, 'baseSize': 0.4,
+'length': (1.0, 0.3, 0.6, 0.45), 'lengthV': (0.0, 0.0, 0.0, 0.0),
+'branches': (0, 25, 10, 300), 'leaves': -20, 'leafScale': 0.17,
+'attractUp': (0.0, -0.35, -0.35, 0.0), 'pruneRatio': 1.0,  # A field this generator doesn't use
+}`;
+
+test('parsePythonLiteral reads dicts, tuples, lists, strings, numbers and constants', () => {
+    assert.deepEqual(
+        parsePythonLiteral(`{'a': (1, 2.5, -3e2), "b": [True, False, None], 1: 'it\\'s', 'c': (4,), 'd': (5)}`),
+        { a: [1, 2.5, -300], b: [true, false, null], 1: "it's", c: [4], d: 5 }
+    );
+});
+
+test('parsePythonLiteral never runs code, and points at syntax errors', () => {
+    assert.throws(() => parsePythonLiteral("{'a': __import__('os')}"), /only literal values/);
+    assert.throws(() => parsePythonLiteral("{'a': 1,\n 'b' 2}"), (error) => error.line === 2 && error.column === 6);
+    assert.throws(() => parsePythonLiteral("{'a': 1} x"), /after the value/);
+});
+
+test('convertSaplingPreset maps the preset to Weber-Penn params', () => {
+    const { params, unsupported, notes } = convertSaplingPreset(PRESET);
+    assert.equal(params.algorithm, 'weberPenn');
+    assert.equal(params.seed, 12);
+    assert.equal(params.weberPenn.shape, 7);
+    assert.deepEqual(params.weberPenn.length, [1.0, 0.3, 0.6, 0.45]);
+    assert.equal(params.weberPenn.leaves, 20); // Negative counts are made positive
+    assert.equal(params.weberPenn.attractionUp, -0.35); // Per-level values: the last level's
+    assert.deepEqual(unsupported, ['pruneRatio']); // Blender-only fields are dropped silently
+    assert.equal(notes.length, 2);
+});
+
+test('convertSaplingPreset replaces the custom shape and rejects shapes that are not numbers', () => {
+    const custom = convertSaplingPreset("{'shape': '8'}");
+    assert.equal(custom.params.weberPenn.shape, 7);
+    assert.match(custom.notes[0], /custom/);
+    assert.throws(() => convertSaplingPreset("{'shape': 'conical'}"), /'shape'/);
+    assert.throws(() => convertSaplingPreset("{'shape': None}"), /'shape'/);
+    assert.throws(() => convertSaplingPreset("[1, 2]"), /must be a Python dict/);
+});
+
+test('validateSaplingPreset lists the ignored fields and notes as warnings', () => {
+    const validation = validateSaplingPreset(PRESET);
+    assert.equal(validation.valid, true);
+    const messages = validation.warnings.map((warning) => warning.message);
+    assert.ok(messages.includes('Sapling preset: not supported, ignored: pruneRatio.'));
+    assert.ok(messages.some((message) => message.startsWith('Sapling preset: leaves is negative')));
+
+    const invalid = validateSaplingPreset("{'levels': 9}");
+    assert.equal(invalid.valid, false);
+    assert.deepEqual(invalid.errors.map((error) => error.field), ['weberPenn']);
+});
+
+test('a converted preset generates the same tree for its seed', () => {
+    const { params } = validateSaplingPreset(PRESET);
+    const first = generateTreeMatrices(params, { quiet: true });
+    const second = generateTreeMatrices(params, { quiet: true });
+    assert.ok(first.branchCount > 0 && first.leafCount > 0);
+    assert.equal(first.branchCount, second.branchCount);
+    assert.deepEqual(first.leafMatrices.at(-1).elements, second.leafMatrices.at(-1).elements);
+});
+
+test('isSaplingPresetFile recognizes .py files', () => {
+    assert.equal(isSaplingPresetFile('presets/quaking_aspen.py'), true);
+    assert.equal(isSaplingPresetFile('QUAKING_ASPEN.PY'), true);
+    assert.equal(isSaplingPresetFile('tree_params.json'), false);
+});
@@ -0,0 +1,67 @@
+/**
+ * Params validation (tree_schema.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TREE_PARAM_SCHEMA, validateTreeParams, validateTreeData } from '../tree_schema.js';
+
+/** Fields of the issues reported for a validation. */
+const fieldsOf = (issues) => issues.map((issue) => issue.field);
+
+test('validateTreeParams fills in the defaults without changing the given values', () => {
+    const validation = validateTreeParams({ maxDepth: 3 });
+    assert.equal(validation.valid, true);
+    assert.deepEqual(validation.errors, []);
+    assert.equal(validation.params.maxDepth, 3);
+    assert.equal(validation.params.lengthFactor, TREE_PARAM_SCHEMA.lengthFactor.default);
+});
+
+test('validateTreeParams rejects wrong types and values past the hard limits', () => {
+    const validation = validateTreeParams({ maxDepth: 'deep', numBranches: 2.5, leafSize: -1, leafColor: 'green' });
+    assert.equal(validation.valid, false);
+    assert.equal(validation.params, null);
+    assert.deepEqual(fieldsOf(validation.errors).sort(), ['leafColor', 'leafSize', 'maxDepth', 'numBranches']);
+    assert.match(validation.errors.find((error) => error.field === 'maxDepth').message, /must be a number/);
+});
+
+test('validateTreeParams only warns about values outside the editor ranges and unknown fields', () => {
+    const validation = validateTreeParams({ maxDepth: 15, shade: 'dark' });
+    assert.equal(validation.valid, true);
+    assert.equal(validation.params.maxDepth, 15); // Not clamped
+    assert.deepEqual(fieldsOf(validation.warnings), ['maxDepth', 'shade']);
+});
+
+test('validateTreeParams warns about missing fields only with requireAll', () => {
+    assert.deepEqual(validateTreeParams({ maxDepth: 3 }).warnings, []);
+    const fields = fieldsOf(validateTreeParams({ maxDepth: 3 }, { requireAll: true }).warnings);
+    assert.ok(fields.includes('initialLength'));
+    assert.ok(!fields.includes('axiom')); // Optional, and not used by the recursive algorithm
+});
+
+test('validateTreeParams reports grammar errors with their position', () => {
+    const validation = validateTreeParams({ algorithm: 'lsystem', rules: 'F -> F[+F' });
+    assert.equal(validation.valid, false);
+    assert.deepEqual(fieldsOf(validation.errors), ['rules']);
+    assert.match(validation.errors[0].message, /Line 1, column \d+/);
+});
+
+test('validateTreeParams replaces invalid values of params the algorithm does not use by their defaults', () => {
+    const validation = validateTreeParams({ algorithm: 'recursive', pointCount: 'abc', rules: 'F -> F[', initialRadius: -1 });
+    assert.equal(validation.valid, false); // initialRadius is used by the recursive algorithm
+    const unused = validateTreeParams({ algorithm: 'recursive', pointCount: 'abc', rules: 'F -> F[' });
+    assert.equal(unused.valid, true);
+    assert.deepEqual(fieldsOf(unused.warnings), ['rules', 'pointCount']);
+    assert.equal(unused.params.pointCount, TREE_PARAM_SCHEMA.pointCount.default);
+    assert.equal(unused.params.rules, TREE_PARAM_SCHEMA.rules.default);
+
+    const weberPenn = validateTreeParams({ algorithm: 'weberPenn', initialRadius: 'thick' });
+    assert.equal(weberPenn.valid, true);
+    assert.equal('initialRadius' in weberPenn.params, false); // No default: removed
+});
+
+test('validateTreeParams tells tree data files apart from params', () => {
+    const validation = validateTreeParams({ branchMatrices: [], leafMatrices: [] });
+    assert.equal(validation.valid, false);
+    assert.match(validation.errors[0].message, /tree data file/);
+    assert.equal(validateTreeData({ maxDepth: 3 }).valid, false);
+});
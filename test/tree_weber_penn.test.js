@@ -0,0 +1,43 @@
+/**
+ * The Weber-Penn tree model (tree_weber_penn.js, drawn by tree_generator.js).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_WEBER_PENN, checkWeberPenn, resolveWeberPenn } from '../tree_weber_penn.js';
+import { generateTreeMatrices, compareTreeMatrices } from '../tree_generator.js';
+
+/** A smaller tree than the default, so the tests stay fast. */
+const SMALL = { algorithm: 'weberPenn', seed: 'reproducible', weberPenn: { levels: 2 } };
+
+test('checkWeberPenn reports bad values as errors and unknown fields as warnings', () => {
+    assert.deepEqual(checkWeberPenn(DEFAULT_WEBER_PENN), { errors: [], warnings: [] });
+    const { errors, warnings } = checkWeberPenn({ levels: 2.5, length: [1, 0.3], shape: 'flame', leafShape: 'hex', colour: 1 });
+    assert.equal(errors.length, 3);
+    assert.match(errors.find((error) => error.startsWith('length')), /array of 4 numbers/);
+    assert.equal(warnings.length, 2);
+    assert.match(checkWeberPenn([1]).errors[0], /must be an object/);
+});
+
+test('resolveWeberPenn fills in the defaults', () => {
+    const params = resolveWeberPenn({ levels: 2 });
+    assert.equal(params.levels, 2);
+    assert.deepEqual(params.length, DEFAULT_WEBER_PENN.length);
+});
+
+test('generateTreeMatrices builds the same Weber-Penn tree for the same seed', () => {
+    const first = generateTreeMatrices(SMALL, { quiet: true });
+    assert.ok(first.branchCount > 0 && first.leafCount > 0);
+    assert.equal(first.branchCount, first.budget.predicted.branches);
+    assert.equal(first.leafCount, first.budget.predicted.leaves);
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices(SMALL, { quiet: true })).match, true);
+    assert.equal(compareTreeMatrices(first, generateTreeMatrices({ ...SMALL, seed: 'different' }, { quiet: true })).match, false);
+});
+
+test('the instance budget drops stem levels until the tree fits', () => {
+    const full = generateTreeMatrices(SMALL, { quiet: true });
+    const pruned = generateTreeMatrices({ ...SMALL, maxBranches: full.branchCount - 1 }, { quiet: true });
+    assert.equal(pruned.budget.prunedParam, 'levels');
+    assert.equal(pruned.budget.depth, 1);
+    assert.ok(pruned.branchCount < full.branchCount);
+    assert.equal(pruned.truncated, false);
+});
@@ -0,0 +1,398 @@
+/**
+ * Headless command-line tool for batch tree generation (Node.js 18+, no browser needed).
+ * Turns tree_params.json files into tree_data.json files (or other formats) using the same
+ * tree_generator.js module as the editor, so the output matches what the editor shows.
+ * Blender Sapling presets (.py) are converted to Weber-Penn params first (see tree_sapling.js).
+ *
+ * Usage: node tree_cli.js [options] <params.json | glob> ...
+ * Run with --help for the options.
+ */
+import { readFile, writeFile, readdir, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { generateTreeMatrices } from './tree_generator.js';
+import { normalizeSeed, randomSeed, deriveSeed } from './tree_random.js';
+import { validateTreeParams, formatValidationIssues } from './tree_schema.js';
+import { migrateTreeParams, getMigrationWarnings, stampTreeParams, stampTreeData } from './tree_formats.js';
+import { getTreeMaterialParams } from './tree_materials.js';
+import { computeInstanceColors, hasColorVariation, instanceColorsToHex } from './tree_colors.js';
+import { computeTreeStats, createTreeMetadata } from './tree_stats.js';
+import { validateSaplingPreset, isSaplingPresetFile } from './tree_sapling.js';
+
+/**
+ * Output formats: file extension, whether the tree is generated, and the function that serializes one variant.
+ * Each writer gets (params, result) and returns the file contents (string or Uint8Array); result is null for the
+ * formats that don't generate the tree.
+ */
+const FORMATS = {
+    // tree_data.json, as saved by the editor's "Save Tree Data" button (loadable in tree_loader.html)
+    data: { extension: '.json', generates: true, write: writeTreeData },
+    // The params with the variant's seed pinned, so the exact tree can be regenerated (or opened in param_loader.html)
+    params: { extension: '.json', generates: false, write: (params) => JSON.stringify(stampTreeParams(params), null, 2) },
+    // Compact binary: uint32 branchCount, uint32 leafCount, then the branch and leaf matrices (16 float32 each,
+    // column-major like THREE.Matrix4.elements). Little-endian.
+    bin: { extension: '.bin', generates: true, write: writeTreeBinary }
+};
+
+const USAGE = `Usage: node tree_cli.js [options] <params.json | preset.py | glob> ...
+
+Generates tree data files from tree_params.json files (as saved by the editor)
+or Blender Sapling presets (.py files, converted to the Weber-Penn algorithm).
+
+Options:
+  -s, --seed <seed>      Seed to use instead of the one in the params file (number or text)
+  -n, --count <n>        Number of variants to generate per params file (default 1).
+                         Variant 1 uses the seed, the others derive their seeds from it.
+  -f, --format <format>  Output format: ${Object.keys(FORMATS).join(', ')} (default data)
+  -o, --out <dir>        Output directory (default: next to each params file)
+  -h, --help             Show this help
+
+Globs support *, ? and ** (quote them so the shell doesn't expand them first).
+Example: node tree_cli.js "assets/trees/**/*_params.json" --count 5 --out build/trees
+Convert Sapling presets to params files: node tree_cli.js "presets/*.py" --format params`;
+
+// --- Input ---
+
+/**
+ * Converts one glob path segment (e.g. "*_params.json") into a regular expression.
+ * @param {string} segment - Path segment containing * and/or ? wildcards.
+ * @returns {RegExp} Expression matching a whole file or directory name.
+ */
+function segmentToRegExp(segment) {
+    const source = segment
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '[^/]*')
+        .replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Finds the files matching a glob pattern (*, ? and ** wildcards).
+ * @param {string} pattern - Glob pattern, relative to the working directory or absolute.
+ * @returns {Promise<string[]>} Matching file paths, sorted.
+ */
+async function expandGlob(pattern) {
+    const segments = pattern.split(/[\\/]/);
+    const root = segments[0] === '' ? path.sep : '.';
+    if (segments[0] === '') segments.shift();
+
+    const matches = [];
+    async function walk(dir, index) {
+        const segment = segments[index];
+        const isLast = index === segments.length - 1;
+        if (segment === '**') {
+            // Zero directories...
+            if (!isLast) await walk(dir, index + 1);
+            // ...or any number of them
+            for (const entry of await readDirectory(dir)) {
+                if (entry.isDirectory()) await walk(path.join(dir, entry.name), index);
+            }
+            return;
+        }
+        if (!/[*?]/.test(segment)) {
+            const next = path.join(dir, segment);
+            if (isLast) {
+                matches.push(next);
+            } else {
+                await walk(next, index + 1);
+            }
+            return;
+        }
+        const expression = segmentToRegExp(segment);
+        for (const entry of await readDirectory(dir)) {
+            if (!expression.test(entry.name)) continue;
+            const next = path.join(dir, entry.name);
+            if (isLast) {
+                if (entry.isFile()) matches.push(next);
+            } else if (entry.isDirectory()) {
+                await walk(next, index + 1);
+            }
+        }
+    }
+    await walk(root, 0);
+    return matches.sort();
+}
+
+/**
+ * Lists a directory, treating a missing or unreadable directory as empty (it just doesn't match).
+ * @param {string} dir - Directory path.
+ * @returns {Promise<import('node:fs').Dirent[]>} Directory entries.
+ */
+async function readDirectory(dir) {
+    try {
+        return await readdir(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Expands the command-line inputs into a list of params files.
+ * Plain paths are kept as they are (so a missing file is reported), globs are expanded.
+ * @param {string[]} inputs - Paths and/or glob patterns.
+ * @returns {Promise<string[]>} Unique file paths, in input order.
+ */
+async function resolveInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (/[*?]/.test(input)) {
+            const matches = await expandGlob(input);
+            if (matches.length === 0) {
+                console.warn(`No files match "${input}".`);
+            }
+            files.push(...matches);
+        } else {
+            files.push(input);
+        }
+    }
+    return [...new Set(files)];
+}
+
+/**
+ * Reads, migrates (see tree_formats.js) and validates (see tree_schema.js) a params file, or converts a
+ * Sapling preset (see tree_sapling.js). Warnings (including the preset fields that are ignored) are printed,
+ * errors thrown.
+ * @param {string} file - Path of a tree_params.json file or a Sapling preset (.py).
+ * @returns {Promise<object>} The tree generation parameters (missing values filled with defaults).
+ */
+async function readParams(file) {
+    const text = await readFile(file, 'utf8');
+    let validation;
+    if (isSaplingPresetFile(file)) {
+        validation = validateSaplingPreset(text);
+    } else {
+        const migration = migrateTreeParams(JSON.parse(text));
+        if (migration.error) {
+            throw new Error(migration.error);
+        }
+        validation = validateTreeParams(migration.data, { requireAll: true });
+        validation.warnings.unshift(...getMigrationWarnings(migration));
+    }
+    if (validation.warnings.length > 0) {
+        console.warn(`${file}: warnings:\n${formatValidationIssues(validation.warnings)}`);
+    }
+    if (!validation.valid) {
+        throw new Error(`invalid tree parameters:\n${formatValidationIssues(validation.errors)}`);
+    }
+    return validation.params;
+}
+
+// --- Output ---
+
+/**
+ * Serializes a generated tree in the editor's tree_data.json format.
+ * @param {object} params - Tree generation parameters (with the variant's seed).
+ * @param {object} result - generateTreeMatrices() result (Matrix4 output).
+ * @returns {string} JSON text.
+ */
+function writeTreeData(params, result) {
+    const treeData = {
+        config: {
+            taperFactor: params.taperFactor ?? 0.68,
+            radialSegments: params.radialSegments ?? 8,
+            leafSize: params.leafSize ?? 0.5,
+            ...getTreeMaterialParams(params), // Colors, roughness and metalness
+            seed: result.seed
+        },
+        metadata: createTreeMetadata(computeTreeStats(result, params)),
+        branchMatrices: result.branchMatrices.map(matrix => matrix.toArray()),
+        leafMatrices: result.leafMatrices.map(matrix => matrix.toArray())
+    };
+    if (hasColorVariation(params)) {
+        const { branchColors, leafColors } = computeInstanceColors(params, result.seed,
+            { matrices: result.branchMatrices, count: result.branchCount }, { matrices: result.leafMatrices, count: result.leafCount });
+        treeData.branchColors = instanceColorsToHex(branchColors);
+        treeData.leafColors = instanceColorsToHex(leafColors);
+    }
+    return JSON.stringify(stampTreeData(treeData), null, 2);
+}
+
+/**
+ * Serializes a generated tree in the compact binary format (see FORMATS.bin).
+ * @param {object} params - Tree generation parameters (unused, the format only holds matrices).
+ * @param {object} result - generateTreeMatrices() result (Matrix4 output).
+ * @returns {Uint8Array} File contents.
+ */
+function writeTreeBinary(params, result) {
+    const { branchCount, leafCount } = result;
+    const buffer = new ArrayBuffer(8 + (branchCount + leafCount) * 16 * 4);
+    const view = new DataView(buffer);
+    view.setUint32(0, branchCount, true);
+    view.setUint32(4, leafCount, true);
+    let offset = 8;
+    for (const matrix of [...result.branchMatrices, ...result.leafMatrices]) {
+        for (const value of matrix.elements) {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        }
+    }
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Builds the output path of one variant, e.g. oak_params.json -> oak_data_<seed>.json.
+ * @param {string} file - Input params file path.
+ * @param {number} seed - The variant's seed.
+ * @param {string} format - Output format name (key of FORMATS).
+ * @param {string} [outDir] - Output directory (defaults to the input file's directory).
+ * @returns {string} Output file path.
+ */
+function getOutputPath(file, seed, format, outDir) {
+    const name = path.basename(file, path.extname(file));
+    const base = /params$/.test(name)
+        ? name.replace(/params$/, format === 'params' ? 'params' : 'data')
+        : `${name}_${format === 'params' ? 'params' : 'data'}`;
+    return path.join(outDir ?? path.dirname(file), `${base}_${seed}${FORMATS[format].extension}`);
+}
+
+// --- Generation ---
+
+/**
+ * Generates all variants of one params file and writes them.
+ * @param {string} file - Params file path.
+ * @param {object} options - Parsed command-line options ({ seed, count, format, out }).
+ * @returns {Promise<object[]>} One summary row per variant (the counts are null if the format doesn't generate).
+ */
+async function processFile(file, options) {
+    const params = await readParams(file);
+    const format = FORMATS[options.format];
+    // Seed priority: --seed, then the params file's seed, then a random one
+    const baseSeed = normalizeSeed(options.seed ?? params.seed ?? randomSeed());
+
+    const rows = [];
+    for (let i = 0; i < options.count; i++) {
+        // The first variant is the seeded tree itself, so --count 1 reproduces the params file exactly
+        const seed = i === 0 ? baseSeed : deriveSeed(baseSeed, i);
+        const variantParams = { ...params, seed };
+
+        const start = performance.now();
+        const result = format.generates ? generateTreeMatrices(variantParams, { quiet: true }) : null;
+        const generateMs = performance.now() - start;
+
+        const output = getOutputPath(file, seed, options.format, options.out);
+        await writeFile(output, format.write(variantParams, result));
+        const totalMs = performance.now() - start;
+
+        rows.push({
+            file: output,
+            seed,
+            branches: result?.branchCount ?? null,
+            leaves: result?.leafCount ?? null,
+            triangles: result?.triangleCount ?? null,
+            truncated: result?.truncated ?? false,
+            generateMs,
+            totalMs
+        });
+    }
+    return rows;
+}
+
+/**
+ * Prints the summary table of the generated variants.
+ * @param {object[]} rows - Summary rows from processFile().
+ * @param {number} elapsedMs - Wall time of the whole run.
+ */
+function printSummary(rows, elapsedMs) {
+    if (rows.length === 0) return;
+    const generated = rows[0].branches !== null; // All rows share the output format
+    if (!generated) {
+        console.table(rows.map(row => ({ output: row.file, seed: row.seed, 'total (ms)': row.totalMs.toFixed(1) })));
+        console.log(`${rows.length} params file(s) written in ${elapsedMs.toFixed(1)} ms.`);
+        return;
+    }
+    console.table(rows.map(row => ({
+        output: row.file,
+        seed: row.seed,
+        branches: row.branches,
+        leaves: row.leaves,
+        triangles: row.triangles,
+        truncated: row.truncated ? 'yes' : '',
+        'generate (ms)': row.generateMs.toFixed(1),
+        'total (ms)': row.totalMs.toFixed(1)
+    })));
+
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+    const truncated = rows.filter(row => row.truncated).length;
+    console.log(`${rows.length} tree(s): ${sum('branches')} branches, ${sum('leaves')} leaves, ${sum('triangles')} triangles` +
+        `${truncated ? `, ${truncated} truncated` : ''}.`);
+    console.log(`Generation ${sum('generateMs').toFixed(1)} ms, total ${elapsedMs.toFixed(1)} ms.`);
+}
+
+/**
+ * Parses the command-line arguments.
+ * @param {string[]} argv - Arguments (without node and the script path).
+ * @returns {{inputs: string[], options: object, help: boolean}} Inputs and validated options.
+ */
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            seed: { type: 'string', short: 's' },
+            count: { type: 'string', short: 'n', default: '1' },
+            format: { type: 'string', short: 'f', default: 'data' },
+            out: { type: 'string', short: 'o' },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const count = Number(values.count);
+    if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`--count must be a positive integer (got "${values.count}").`);
+    }
+    if (!FORMATS[values.format]) {
+        throw new Error(`Unknown --format "${values.format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    return {
+        inputs: positionals,
+        help: values.help,
+        options: { seed: values.seed, count, format: values.format, out: values.out }
+    };
+}
+
+/**
+ * CLI entry point.
+ * @returns {Promise<number>} Process exit code.
+ */
+async function main() {
+    let commandLine;
+    try {
+        commandLine = parseCommandLine(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    const { inputs, options, help } = commandLine;
+    if (help || inputs.length === 0) {
+        console.log(USAGE);
+        return help ? 0 : 2;
+    }
+
+    const files = await resolveInputs(inputs);
+    if (options.out) {
+        await mkdir(options.out, { recursive: true });
+    }
+
+    const start = performance.now();
+    const rows = [];
+    let failed = 0;
+    for (const file of files) {
+        try {
+            rows.push(...await processFile(file, options));
+        } catch (error) {
+            // Report and continue, so one bad file doesn't stop a whole batch
+            console.error(`${file}: ${error.message}`);
+            failed++;
+        }
+    }
+    printSummary(rows, performance.now() - start);
+
+    if (failed > 0) {
+        console.error(`${failed} of ${files.length} file(s) failed.`);
+        return 1;
+    }
+    return files.length > 0 ? 0 : 1;
+}
+
+process.exitCode = await main();
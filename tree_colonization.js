@@ -0,0 +1,268 @@
+/**
+ * Space colonization (Runions et al. 2007): attraction points are scattered through a crown volume and the tree
+ * grows towards them step by step. Every node pulls towards the points it is the closest node to (within the
+ * influence radius), grows a new node stepSize along the average direction, and points closer than the kill
+ * distance to any node are used up. The trunk grows straight up until it reaches the crown.
+ * tree_generator.js turns the nodes into the usual branch/leaf matrices (algorithm: 'spaceColonization').
+ *
+ * The crown is an ellipsoid (crownRadius wide, crownHeight tall) sitting on top of the trunk (trunkHeight).
+ * Works on flat number arrays (no three.js), so growing thousands of nodes stays cheap.
+ */
+
+/** Parameters used when a config doesn't give them. */
+export const DEFAULT_COLONIZATION = {
+    pointCount: 400,
+    influenceRadius: 6,
+    killDistance: 1.5,
+    stepSize: 0.8,
+    crownRadius: 8,
+    crownHeight: 12
+};
+
+/** Most growth steps a tree can take (some settings keep nodes circling points they never reach). */
+export const MAX_GROWTH_STEPS = 1000;
+
+/** Nodes carrying at most this many branch tips are twigs, which get a leaf each (the bare trunk below the first fork never does). */
+export const TWIG_TIPS = 3;
+
+/** A node doesn't grow a child closer than this (times stepSize) to one it already has. */
+const DUPLICATE_CHILD_DISTANCE = 0.1;
+
+/** Offset and stride of the grid cell keys (cell coordinates stay within +/- 2^16). */
+const CELL_OFFSET = 65536;
+const CELL_STRIDE = 131072;
+
+/**
+ * Returns the grid key of a cell.
+ * @param {number} ix - Cell x.
+ * @param {number} iy - Cell y.
+ * @param {number} iz - Cell z.
+ * @returns {number} Key (a safe integer).
+ */
+function cellKey(ix, iy, iz) {
+    return ((ix + CELL_OFFSET) * CELL_STRIDE + (iy + CELL_OFFSET)) * CELL_STRIDE + (iz + CELL_OFFSET);
+}
+
+/**
+ * Scatters attraction points uniformly through the crown ellipsoid.
+ * @param {number} count - Number of points.
+ * @param {number} trunkHeight - Height of the crown's bottom.
+ * @param {number} crownRadius - Horizontal radius of the crown.
+ * @param {number} crownHeight - Height of the crown.
+ * @param {function(): number} random - Random function.
+ * @returns {Float64Array} Points, x/y/z each.
+ */
+function scatterPoints(count, trunkHeight, crownRadius, crownHeight, random) {
+    const points = new Float64Array(count * 3);
+    const centerY = trunkHeight + crownHeight / 2;
+    for (let i = 0; i < count; i++) {
+        let x, y, z;
+        do { // Rejection sampling in the unit sphere
+            x = random() * 2 - 1;
+            y = random() * 2 - 1;
+            z = random() * 2 - 1;
+        } while (x * x + y * y + z * z > 1);
+        points[i * 3] = x * crownRadius;
+        points[i * 3 + 1] = centerY + y * crownHeight / 2;
+        points[i * 3 + 2] = z * crownRadius;
+    }
+    return points;
+}
+
+/**
+ * Grows a tree by space colonization.
+ * @param {object} options - Growth settings.
+ * @param {number} options.trunkHeight - Height of the crown's bottom.
+ * @param {number} options.crownRadius - Horizontal radius of the crown.
+ * @param {number} options.crownHeight - Height of the crown.
+ * @param {number} options.pointCount - Number of attraction points.
+ * @param {number} options.influenceRadius - Points only attract nodes closer than this.
+ * @param {number} options.killDistance - Points closer than this to a node are used up.
+ * @param {number} options.stepSize - Length of each new segment.
+ * @param {function(): number} options.random - Random function for the points.
+ * @param {number} [options.maxNodes=Infinity] - Stop growing at this many nodes.
+ * @returns {{positions: number[], parents: number[], steps: number[], nodeCount: number, stepCount: number,
+ *          truncated: boolean, remainingPoints: number}} The nodes (x/y/z positions, parent index or -1 for the root,
+ *          growth step that added them; parents always come first), how many growth steps were taken, whether
+ *          maxNodes (or MAX_GROWTH_STEPS) stopped the growth, and how many points were never reached.
+ */
+export function growSpaceColonization(options) {
+    const { trunkHeight, crownRadius, crownHeight, pointCount, influenceRadius, killDistance, stepSize, random } = options;
+    const maxNodes = options.maxNodes ?? Infinity;
+    const influenceSq = influenceRadius * influenceRadius;
+    const killSq = killDistance * killDistance;
+
+    // Points never move, so they are bucketed once into cells one influence radius wide
+    const points = scatterPoints(pointCount, trunkHeight, crownRadius, crownHeight, random);
+    const cellSize = influenceRadius;
+    const grid = new Map();
+    for (let i = 0; i < pointCount; i++) {
+        const key = cellKey(Math.floor(points[i * 3] / cellSize), Math.floor(points[i * 3 + 1] / cellSize), Math.floor(points[i * 3 + 2] / cellSize));
+        if (!grid.has(key)) grid.set(key, []);
+        grid.get(key).push(i);
+    }
+    const closestNode = new Int32Array(pointCount).fill(-1);
+    const closestDistanceSq = new Float64Array(pointCount).fill(Infinity);
+    const alive = new Uint8Array(pointCount).fill(1);
+    let remainingPoints = pointCount;
+
+    const positions = [];
+    const parents = [];
+    const steps = [];
+
+    // Adds a node and updates the points around it: used up, or attracted by it if it's their closest node
+    const addNode = (x, y, z, parent, step) => {
+        const node = parents.length;
+        positions.push(x, y, z);
+        parents.push(parent);
+        steps.push(step);
+        const cx = Math.floor(x / cellSize);
+        const cy = Math.floor(y / cellSize);
+        const cz = Math.floor(z / cellSize);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dz = -1; dz <= 1; dz++) {
+                    const cell = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+                    if (!cell) continue;
+                    for (const i of cell) {
+                        if (!alive[i]) continue;
+                        const px = points[i * 3] - x;
+                        const py = points[i * 3 + 1] - y;
+                        const pz = points[i * 3 + 2] - z;
+                        const distanceSq = px * px + py * py + pz * pz;
+                        if (distanceSq < killSq) {
+                            alive[i] = 0;
+                            remainingPoints--;
+                        } else if (distanceSq < influenceSq && distanceSq < closestDistanceSq[i]) {
+                            closestNode[i] = node;
+                            closestDistanceSq[i] = distanceSq;
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    addNode(0, 0, 0, -1, 0);
+    let attracted = false; // Until the crown attracts a node, the trunk grows straight up
+    let truncated = false;
+    let stepCount = 0;
+    const pulls = new Map(); // Node index -> summed directions towards its points
+    const childLists = new Map(); // Node index -> its children, to skip growing the same child again
+    const duplicateSq = (DUPLICATE_CHILD_DISTANCE * stepSize) ** 2;
+    const hasChildAt = (node, x, y, z) => (childLists.get(node) ?? []).some((child) => {
+        const dx = positions[child * 3] - x;
+        const dy = positions[child * 3 + 1] - y;
+        const dz = positions[child * 3 + 2] - z;
+        return dx * dx + dy * dy + dz * dz < duplicateSq;
+    });
+    for (let step = 1; remainingPoints > 0; step++) {
+        if (step > MAX_GROWTH_STEPS || parents.length >= maxNodes) {
+            truncated = true;
+            break;
+        }
+
+        pulls.clear();
+        for (let i = 0; i < pointCount; i++) {
+            const node = closestNode[i];
+            if (!alive[i] || node === -1) continue;
+            const dx = points[i * 3] - positions[node * 3];
+            const dy = points[i * 3 + 1] - positions[node * 3 + 1];
+            const dz = points[i * 3 + 2] - positions[node * 3 + 2];
+            const length = Math.sqrt(closestDistanceSq[i]);
+            const pull = pulls.get(node) ?? [0, 0, 0];
+            pull[0] += dx / length;
+            pull[1] += dy / length;
+            pull[2] += dz / length;
+            pulls.set(node, pull);
+        }
+
+        if (pulls.size === 0) {
+            const tip = parents.length - 1;
+            if (attracted || positions[tip * 3 + 1] > trunkHeight + crownHeight) break; // Nothing left in reach
+            addNode(positions[tip * 3], positions[tip * 3 + 1] + stepSize, positions[tip * 3 + 2], tip, step);
+            stepCount = step;
+            continue;
+        }
+        attracted = true;
+
+        const nodeCountBefore = parents.length;
+        for (const [node, [px, py, pz]] of pulls) {
+            const length = Math.sqrt(px * px + py * py + pz * pz);
+            if (length < 1e-6) continue; // Pulled equally in opposite directions
+            if (parents.length >= maxNodes) {
+                truncated = true;
+                break;
+            }
+            const scale = stepSize / length;
+            const x = positions[node * 3] + px * scale;
+            const y = positions[node * 3 + 1] + py * scale;
+            const z = positions[node * 3 + 2] + pz * scale;
+            // Points behind the new child keep pulling its parent the same way; growing there again adds nothing
+            if (hasChildAt(node, x, y, z)) continue;
+            if (!childLists.has(node)) childLists.set(node, []);
+            childLists.get(node).push(parents.length);
+            addNode(x, y, z, node, step);
+        }
+        if (parents.length === nodeCountBefore) break;
+        stepCount = step;
+        if (truncated) break;
+    }
+
+    return { positions, parents, steps, nodeCount: parents.length, stepCount, truncated, remainingPoints };
+}
+
+/**
+ * Counts the nodes of a grown tree up to a growth step: the tips each node carries (for the pipe-model radius),
+ * its children and the forks between the trunk and it.
+ * @param {{parents: number[], steps: number[]}} tree - growSpaceColonization() result.
+ * @param {number} [maxStep=Infinity] - Only count the nodes added up to this step.
+ * @returns {{nodeCount: number, tips: Int32Array, children: Int32Array, levels: Int32Array, forked: boolean}} Number
+ *          of nodes within maxStep (always the first ones), per node its branch tips, children and level (0 on the
+ *          trunk below the first fork), and whether the tree branches at all.
+ */
+export function measureColonizedTree(tree, maxStep = Infinity) {
+    let nodeCount = tree.parents.length;
+    while (nodeCount > 1 && tree.steps[nodeCount - 1] > maxStep) nodeCount--;
+    const tips = new Int32Array(nodeCount);
+    const children = new Int32Array(nodeCount);
+    for (let node = nodeCount - 1; node >= 0; node--) { // Children always come after their parent
+        if (children[node] === 0) tips[node] = 1;
+        const parent = tree.parents[node];
+        if (parent >= 0) {
+            tips[parent] += tips[node];
+            children[parent]++;
+        }
+    }
+    const levels = new Int32Array(nodeCount);
+    let forked = false;
+    for (let node = 1; node < nodeCount; node++) {
+        const parent = tree.parents[node];
+        levels[node] = parent === 0 ? 0 : levels[parent] + (children[parent] > 1 ? 1 : 0);
+        forked ||= children[node] > 1;
+    }
+    return { nodeCount, tips, children, levels, forked: forked || children[0] > 1 };
+}
+
+/**
+ * Tells whether a node is a twig that gets a leaf: few tips, and past the first fork (not the bare trunk).
+ * @param {{tips: Int32Array, levels: Int32Array}} measured - measureColonizedTree() result.
+ * @param {number} node - Node index (not the root).
+ * @returns {boolean} True for twigs.
+ */
+export function isColonizationTwig(measured, node) {
+    return measured.tips[node] <= TWIG_TIPS && measured.levels[node] > 0;
+}
+
+/**
+ * Counts the branches (one per node but the root) and leaves (one per twig) a grown tree draws.
+ * @param {{nodeCount: number, tips: Int32Array, levels: Int32Array}} measured - measureColonizedTree() result.
+ * @returns {{branches: number, leaves: number}} Instance counts.
+ */
+export function countColonizationInstances(measured) {
+    let leaves = 0;
+    for (let node = 1; node < measured.nodeCount; node++) {
+        if (isColonizationTwig(measured, node)) leaves++;
+    }
+    return { branches: Math.max(measured.nodeCount - 1, 0), leaves };
+}
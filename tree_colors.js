@@ -0,0 +1,180 @@
+/**
+ * Per-instance colors: random hue/saturation/lightness variation around the base branch and leaf colors,
+ * plus an optional lightness gradient (by depth or height).
+ * Colors are computed from the instance matrices and the tree's seed only, so the same tree always gets the
+ * same colors, and restyling them never touches the matrices. tree_data.json stores the result as hex
+ * strings (branchColors/leafColors), which the tree loader shows as they are.
+ *
+ * InstancedMesh multiplies instance colors with the material color, so meshes with instance colors use
+ * white materials (see createTreeMaterials' instanceColors option).
+ */
+import * as THREE from './three.module.js';
+import { createRandom, deriveSeed, normalizeSeed } from './tree_random.js';
+import { getTreeMaterialParams } from './tree_materials.js';
+
+/** Params that only change the instance colors. */
+export const COLOR_VARIATION_PARAMS = ['hueVariance', 'saturationVariance', 'lightnessVariance', 'colorGradient', 'gradientStrength'];
+
+/** Index of the branch color random stream, derived from the tree seed (far from the branch child indices). */
+const COLOR_STREAM = 0xC0102;
+
+/** Index of the leaf color random stream, so the leaf colors don't shift when the branch count changes. */
+const LEAF_COLOR_STREAM = 0xC0103;
+
+// Scratch objects, reused for performance
+const color = new THREE.Color();
+const hsl = { h: 0, s: 0, l: 0 };
+const center = new THREE.Vector3();
+const point = new THREE.Vector3();
+
+/**
+ * Whether params give the instances different colors (otherwise the flat material colors are used).
+ * @param {object} params - Tree params.
+ * @returns {boolean} True if any variance or the gradient is active.
+ */
+export function hasColorVariation(params) {
+    return (params.hueVariance ?? 0) > 0 || (params.saturationVariance ?? 0) > 0 || (params.lightnessVariance ?? 0) > 0
+        || ((params.colorGradient ?? 'none') !== 'none' && (params.gradientStrength ?? 0) !== 0);
+}
+
+/**
+ * Returns the 16 matrix elements of one instance.
+ * @param {Float32Array|THREE.Matrix4[]} matrices - 'float32' or Matrix4 output of generateTreeMatrices.
+ * @param {number} index - Instance index.
+ * @returns {ArrayLike<number>} Column-major matrix elements.
+ */
+function getElements(matrices, index) {
+    return Array.isArray(matrices) ? matrices[index].elements : matrices.subarray(index * 16, index * 16 + 16);
+}
+
+/**
+ * Computes where each instance lies along the gradient, from 0 (bottom / inside) to 1 (top / outside).
+ * - 'height': world height, from the lowest to the highest instance.
+ * - 'depth': for branches, how far down the branching they are (thick trunk 0, thinnest twigs 1, on a log scale
+ *   of the radius, which shrinks by radiusFactor per level); for leaves, the distance from the crown's center.
+ * @param {string} mode - 'height' or 'depth'.
+ * @param {Float32Array|THREE.Matrix4[]} matrices - Instance matrices.
+ * @param {number} count - Number of instances.
+ * @param {boolean} isBranch - Branch instances (radius in the matrix scale) rather than leaves.
+ * @returns {Float32Array} One value per instance.
+ */
+function computeGradientPositions(mode, matrices, count, isBranch) {
+    const values = new Float32Array(count);
+    if (mode === 'depth' && !isBranch) {
+        center.set(0, 0, 0);
+        for (let i = 0; i < count; i++) {
+            center.add(point.fromArray(getElements(matrices, i), 12));
+        }
+        center.divideScalar(Math.max(count, 1));
+    }
+    for (let i = 0; i < count; i++) {
+        const elements = getElements(matrices, i);
+        if (mode === 'height') {
+            values[i] = elements[13];
+        } else if (isBranch) {
+            values[i] = -Math.log(Math.hypot(elements[0], elements[1], elements[2]));
+        } else {
+            values[i] = point.fromArray(elements, 12).distanceTo(center);
+        }
+    }
+
+    let min = Infinity;
+    let max = -Infinity;
+    for (const value of values) {
+        min = Math.min(min, value);
+        max = Math.max(max, value);
+    }
+    const range = max - min;
+    for (let i = 0; i < count; i++) {
+        values[i] = range > 0 ? (values[i] - min) / range : 0;
+    }
+    return values;
+}
+
+/**
+ * Colors one set of instances.
+ * @param {object} params - Tree params (variances and gradient).
+ * @param {string} baseColor - Base color (hex, no '#').
+ * @param {Float32Array|THREE.Matrix4[]} matrices - Instance matrices.
+ * @param {number} count - Number of instances.
+ * @param {boolean} isBranch - Branch instances rather than leaves.
+ * @param {function(): number} random - The color random stream.
+ * @returns {Float32Array} RGB per instance (in three.js' working color space, ready for instanceColor).
+ */
+function colorInstances(params, baseColor, matrices, count, isBranch, random) {
+    const hueVariance = (params.hueVariance ?? 0) / 360;
+    const saturationVariance = params.saturationVariance ?? 0;
+    const lightnessVariance = params.lightnessVariance ?? 0;
+    const gradientStrength = params.gradientStrength ?? 0;
+    const gradient = (params.colorGradient ?? 'none') !== 'none' && gradientStrength !== 0
+        ? computeGradientPositions(params.colorGradient, matrices, count, isBranch)
+        : null;
+
+    // Vary in sRGB, where HSL steps look even
+    color.set('#' + baseColor).getHSL(hsl, THREE.SRGBColorSpace);
+    const { h, s, l } = hsl;
+    const colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+        // Always draw all three values, so changing one variance doesn't re-roll the others
+        const hueOffset = (random() * 2 - 1) * hueVariance;
+        const saturationOffset = (random() * 2 - 1) * saturationVariance;
+        let lightnessOffset = (random() * 2 - 1) * lightnessVariance;
+        if (gradient) {
+            lightnessOffset += (gradient[i] - 0.5) * gradientStrength;
+        }
+        color.setHSL(
+            (h + hueOffset + 1) % 1,
+            THREE.MathUtils.clamp(s + saturationOffset, 0, 1),
+            THREE.MathUtils.clamp(l + lightnessOffset, 0, 1),
+            THREE.SRGBColorSpace
+        );
+        color.toArray(colors, i * 3);
+    }
+    return colors;
+}
+
+/**
+ * Computes the per-instance colors of a generated tree.
+ * @param {object} params - Tree params: material colors, hueVariance (degrees), saturationVariance and
+ *                          lightnessVariance (0..1, +/- around the base color), colorGradient ('none' | 'depth' |
+ *                          'height') and gradientStrength (lightness change from bottom/inside to top/outside,
+ *                          negative for darker tips).
+ * @param {number|string} seed - The tree's seed (result.seed).
+ * @param {{matrices: Float32Array|THREE.Matrix4[], count: number}} branches - Branch instance matrices.
+ * @param {{matrices: Float32Array|THREE.Matrix4[], count: number}} leaves - Leaf instance matrices.
+ * @returns {{branchColors: Float32Array, leafColors: Float32Array}} RGB per instance.
+ */
+export function computeInstanceColors(params, seed, branches, leaves) {
+    const normalizedSeed = normalizeSeed(seed);
+    const { branchColor, leafColor } = getTreeMaterialParams(params);
+    return {
+        branchColors: colorInstances(params, branchColor, branches.matrices, branches.count, true,
+            createRandom(deriveSeed(normalizedSeed, COLOR_STREAM))),
+        leafColors: colorInstances(params, leafColor, leaves.matrices, leaves.count, false,
+            createRandom(deriveSeed(normalizedSeed, LEAF_COLOR_STREAM)))
+    };
+}
+
+/**
+ * Converts instance colors to hex strings (for tree_data.json).
+ * @param {Float32Array} colors - RGB per instance (working color space).
+ * @returns {string[]} One hex color (no '#') per instance.
+ */
+export function instanceColorsToHex(colors) {
+    const hex = [];
+    for (let i = 0; i < colors.length; i += 3) {
+        hex.push(color.fromArray(colors, i).getHexString());
+    }
+    return hex;
+}
+
+/**
+ * Converts hex strings from tree_data.json back to instance colors.
+ * @param {string[]} hex - One hex color (no '#') per instance.
+ * @returns {Float32Array} RGB per instance (working color space).
+ */
+export function hexToInstanceColors(hex) {
+    const colors = new Float32Array(hex.length * 3);
+    hex.forEach((value, i) => color.set('#' + value).toArray(colors, i * 3));
+    return colors;
+}
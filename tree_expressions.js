@@ -0,0 +1,209 @@
+/**
+ * Arithmetic expressions for parametric L-system rules (see tree_lsystem.js), e.g. the `l*0.7` in
+ * `A(l) : l > 1 -> F(l)[+A(l*0.7)]`. Expressions are parsed once into plain functions; nothing is ever
+ * passed to eval() or new Function(), so a shared params file can't run code.
+ *
+ * Syntax: numbers, parameter names, parentheses, `+ - * / %`, `^` (power), comparisons `< <= > >= == !=`,
+ * `&& || !` and the functions below. Comparisons and logic give 1 (true) or 0 (false); any non-zero
+ * value counts as true. Trigonometry works in degrees, like the turtle's angles.
+ */
+
+const DEGREES = Math.PI / 180;
+
+/** Functions expressions can call: their number of arguments (-1: one or more) and implementation. */
+const FUNCTIONS = {
+    min: [-1, Math.min],
+    max: [-1, Math.max],
+    abs: [1, Math.abs],
+    sqrt: [1, Math.sqrt],
+    pow: [2, Math.pow],
+    exp: [1, Math.exp],
+    log: [1, Math.log],
+    floor: [1, Math.floor],
+    ceil: [1, Math.ceil],
+    round: [1, Math.round],
+    sin: [1, (degrees) => Math.sin(degrees * DEGREES)],
+    cos: [1, (degrees) => Math.cos(degrees * DEGREES)],
+    tan: [1, (degrees) => Math.tan(degrees * DEGREES)]
+};
+
+/** Binary operators by precedence level (lowest first) and their implementation. */
+const BINARY_LEVELS = [
+    { '||': null }, // Short-circuiting, see parseBinary()
+    { '&&': null },
+    { '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b) },
+    { '<': (a, b) => +(a < b), '<=': (a, b) => +(a <= b), '>': (a, b) => +(a > b), '>=': (a, b) => +(a >= b) },
+    { '+': (a, b) => a + b, '-': (a, b) => a - b },
+    { '*': (a, b) => a * b, '/': (a, b) => a / b, '%': (a, b) => a % b }
+];
+
+/** Operator tokens, longest first so `<=` isn't read as `<`. */
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '^', '!', '(', ')', ','];
+
+/**
+ * Creates a syntax error pointing at a position in the source text.
+ * @param {string} message - What is wrong.
+ * @param {number} position - 0-based index in the source text.
+ * @returns {Error} Error with a `position` property.
+ */
+function syntaxError(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Parses one expression from a position in a text, stopping before the first token that can't continue it
+ * (e.g. the `,` or `)` after a module parameter).
+ * @param {string} text - Source text.
+ * @param {number} start - 0-based index to start at.
+ * @param {string[]} [names=[]] - Parameter names the expression may use; the compiled function takes their
+ *                                values in the same order.
+ * @returns {{evaluate: function(number[]): number, end: number}} The compiled expression and the index after it.
+ * @throws {Error} On a syntax error (its `position` property is the 0-based index in text).
+ */
+export function readExpression(text, start, names = []) {
+    let position = start;
+    let token = null; // { type: 'number'|'name'|'operator'|'end', value, start }
+
+    function nextToken() {
+        while (position < text.length && /\s/.test(text[position])) position++;
+        const tokenStart = position;
+        if (position >= text.length) {
+            token = { type: 'end', value: '', start: tokenStart };
+            return;
+        }
+        const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(position));
+        if (number) {
+            position += number[0].length;
+            token = { type: 'number', value: Number(number[0]), start: tokenStart };
+            return;
+        }
+        const name = /^[A-Za-z_]\w*/.exec(text.slice(position));
+        if (name) {
+            position += name[0].length;
+            token = { type: 'name', value: name[0], start: tokenStart };
+            return;
+        }
+        const operator = OPERATORS.find((candidate) => text.startsWith(candidate, position));
+        if (!operator) {
+            throw syntaxError(`unexpected "${text[position]}" in an expression`, tokenStart);
+        }
+        position += operator.length;
+        token = { type: 'operator', value: operator, start: tokenStart };
+    }
+
+    function expect(operator) {
+        if (token.type !== 'operator' || token.value !== operator) {
+            throw syntaxError(`expected "${operator}"`, token.start);
+        }
+        nextToken();
+    }
+
+    function parseBinary(level) {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        const operators = BINARY_LEVELS[level];
+        let left = parseBinary(level + 1);
+        while (token.type === 'operator' && token.value in operators) {
+            const operator = token.value;
+            nextToken();
+            const a = left;
+            const b = parseBinary(level + 1);
+            if (operator === '||') {
+                left = (values) => +(a(values) !== 0 || b(values) !== 0);
+            } else if (operator === '&&') {
+                left = (values) => +(a(values) !== 0 && b(values) !== 0);
+            } else {
+                const apply = operators[operator];
+                left = (values) => apply(a(values), b(values));
+            }
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (token.type === 'operator' && (token.value === '-' || token.value === '+' || token.value === '!')) {
+            const operator = token.value;
+            nextToken();
+            const operand = parseUnary();
+            if (operator === '-') return (values) => -operand(values);
+            if (operator === '!') return (values) => +(operand(values) === 0);
+            return operand;
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePrimary();
+        if (token.type === 'operator' && token.value === '^') {
+            nextToken();
+            const exponent = parseUnary(); // Right-associative: 2^3^2 is 2^(3^2)
+            return (values) => Math.pow(base(values), exponent(values));
+        }
+        return base;
+    }
+
+    function parsePrimary() {
+        const current = token;
+        if (current.type === 'number') {
+            nextToken();
+            return () => current.value;
+        }
+        if (current.type === 'name') {
+            nextToken();
+            if (token.type === 'operator' && token.value === '(') {
+                return parseCall(current);
+            }
+            const index = names.indexOf(current.value);
+            if (index === -1) {
+                const known = names.length > 0 ? ` (parameters: ${names.join(', ')})` : '';
+                throw syntaxError(`unknown name "${current.value}"${known}`, current.start);
+            }
+            return (values) => values[index];
+        }
+        if (current.type === 'operator' && current.value === '(') {
+            nextToken();
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+        throw syntaxError(current.type === 'end' ? 'the expression is incomplete' : `unexpected "${current.value}"`, current.start);
+    }
+
+    function parseCall(name) {
+        if (!Object.hasOwn(FUNCTIONS, name.value)) {
+            throw syntaxError(`unknown function "${name.value}"`, name.start);
+        }
+        const [arity, apply] = FUNCTIONS[name.value];
+        nextToken(); // "("
+        const args = [parseBinary(0)];
+        while (token.type === 'operator' && token.value === ',') {
+            nextToken();
+            args.push(parseBinary(0));
+        }
+        expect(')');
+        if (arity !== -1 && args.length !== arity) {
+            throw syntaxError(`${name.value}() takes ${arity} argument${arity === 1 ? '' : 's'}, got ${args.length}`, name.start);
+        }
+        return (values) => apply(...args.map((arg) => arg(values)));
+    }
+
+    nextToken();
+    const evaluate = parseBinary(0);
+    return { evaluate, end: token.start };
+}
+
+/**
+ * Parses a text that must be a single expression.
+ * @param {string} text - Source text.
+ * @param {string[]} [names=[]] - Parameter names the expression may use (see readExpression()).
+ * @returns {function(number[]): number} The compiled expression.
+ * @throws {Error} On a syntax error (its `position` property is the 0-based index in text).
+ */
+export function compileExpression(text, names = []) {
+    const { evaluate, end } = readExpression(text, 0, names);
+    if (text.slice(end).trim() !== '') {
+        throw syntaxError(`unexpected "${text[end]}"`, end);
+    }
+    return evaluate;
+}
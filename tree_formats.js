@@ -0,0 +1,144 @@
+/**
+ * File format markers and migrations for tree_params.json and tree_data.json.
+ * Saved files carry `format` and `version` fields, files without them are version 1 (saved before markers existed).
+ * Loaders call migrateTreeParams()/migrateTreeData() first, which bring older files up to the current version
+ * and reject files of the wrong type, and list getMigrationWarnings() with the validation warnings.
+ */
+
+export const TREE_PARAMS_FORMAT = 'tree-params';
+export const TREE_DATA_FORMAT = 'tree-data';
+
+/** Current version of each format. Bump it and add a migration below when a format changes. */
+export const TREE_PARAMS_VERSION = 2;
+export const TREE_DATA_VERSION = 2;
+
+/**
+ * Migrations from each version to the next, keyed by the version they upgrade from.
+ * Each gets the (copied, marker-free) file contents and returns the upgraded contents.
+ */
+const PARAMS_MIGRATIONS = {
+    // v1 -> v2: maxInstanceEstimateFactor was replaced by a fixed safety cap (and the maxBranches/maxLeaves/
+    // maxTriangles budget), so it no longer has any effect.
+    1: (params) => {
+        delete params.maxInstanceEstimateFactor;
+        return params;
+    }
+};
+const DATA_MIGRATIONS = {
+    // v1 -> v2: same contents, only the format markers were added.
+    1: (data) => data
+};
+
+/** What the loaders are called, for "wrong file" messages. */
+const FORMAT_LOADERS = {
+    [TREE_PARAMS_FORMAT]: "the params loader (param_loader.html) or the editor's Open Params",
+    [TREE_DATA_FORMAT]: "the tree loader (tree_loader.html)"
+};
+
+/**
+ * Works out the format of a parsed file, from its marker or (for version 1 files) from its contents.
+ * @param {object} json - Parsed file contents.
+ * @returns {string|null} TREE_PARAMS_FORMAT, TREE_DATA_FORMAT, another marker value, or null if unknown.
+ */
+export function detectTreeFormat(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) return null;
+    if (typeof json.format === 'string') return json.format;
+    if (Array.isArray(json.branchMatrices) || Array.isArray(json.leafMatrices)) return TREE_DATA_FORMAT;
+    if ('maxDepth' in json || 'numBranches' in json || 'initialLength' in json || 'species' in json
+        || 'algorithm' in json) return TREE_PARAMS_FORMAT;
+    return null;
+}
+
+/**
+ * Checks the file type and version, then applies the migrations up to the current version.
+ * @param {object} json - Parsed file contents.
+ * @param {string} format - Expected format.
+ * @param {number} currentVersion - Current version of that format.
+ * @param {object} migrations - Migrations of that format (see PARAMS_MIGRATIONS).
+ * @returns {{data: object|null, error: string|null, fromVersion: number|null, toVersion: number}} The migrated
+ *          contents (without the format markers), or an error message, and the file's and the current version.
+ */
+function migrate(json, format, currentVersion, migrations) {
+    const detected = detectTreeFormat(json);
+    if (detected !== format) {
+        const error = detected in FORMAT_LOADERS
+            ? `This is a ${detected} file, not a ${format} file. Open it with ${FORMAT_LOADERS[detected]} instead.`
+            : `This is not a ${format} file.`;
+        return { data: null, error, fromVersion: null, toVersion: currentVersion };
+    }
+
+    const { format: _format, version = 1, ...contents } = json;
+    if (!Number.isInteger(version) || version < 1) {
+        return { data: null, error: `Invalid ${format} version: ${JSON.stringify(version)}.`, fromVersion: null, toVersion: currentVersion };
+    }
+    if (version > currentVersion) {
+        return {
+            data: null,
+            error: `This ${format} file is version ${version}, but this tool only supports up to version ${currentVersion}. Please update it.`,
+            fromVersion: version,
+            toVersion: currentVersion
+        };
+    }
+
+    let data = structuredClone(contents);
+    for (let v = version; v < currentVersion; v++) {
+        data = migrations[v](data);
+    }
+    return { data, error: null, fromVersion: version, toVersion: currentVersion };
+}
+
+/**
+ * Tells that a file was upgraded, as a warning for the loaders to list with the validation warnings.
+ * @param {{error: string|null, fromVersion: number|null, toVersion: number}} migration - migrateTreeParams() or
+ *        migrateTreeData() result.
+ * @returns {{field: null, message: string}[]} One warning if the file was migrated, none otherwise.
+ */
+export function getMigrationWarnings(migration) {
+    if (migration.error || migration.fromVersion >= migration.toVersion) {
+        return [];
+    }
+    return [{
+        field: null,
+        message: `This file was saved in format version ${migration.fromVersion} and upgraded to version ${migration.toVersion}. Save it again to keep the upgrade.`
+    }];
+}
+
+/**
+ * Migrates a parsed tree_params.json to the current version.
+ * @param {object} json - Parsed file contents (any version).
+ * @returns {{data: object|null, error: string|null, fromVersion: number|null, toVersion: number}} The current-version params
+ *          (flat, without the format markers, ready for validateTreeParams), or an error message
+ *          (wrong file type, or a newer version than this code supports).
+ */
+export function migrateTreeParams(json) {
+    return migrate(json, TREE_PARAMS_FORMAT, TREE_PARAMS_VERSION, PARAMS_MIGRATIONS);
+}
+
+/**
+ * Migrates a parsed tree_data.json to the current version.
+ * @param {object} json - Parsed file contents (any version).
+ * @returns {{data: object|null, error: string|null, fromVersion: number|null, toVersion: number}} The current-version tree data
+ *          (without the format markers, ready for validateTreeData), or an error message.
+ */
+export function migrateTreeData(json) {
+    return migrate(json, TREE_DATA_FORMAT, TREE_DATA_VERSION, DATA_MIGRATIONS);
+}
+
+/**
+ * Adds the current format markers to tree params before saving.
+ * The params stay flat, so files remain usable as generateTreeMatrices configs as they are.
+ * @param {object} params - Tree generation parameters.
+ * @returns {object} A copy starting with `format` and `version`.
+ */
+export function stampTreeParams(params) {
+    return { format: TREE_PARAMS_FORMAT, version: TREE_PARAMS_VERSION, ...params };
+}
+
+/**
+ * Adds the current format markers to tree data before saving.
+ * @param {object} data - Tree data ({ config, branchMatrices, leafMatrices }).
+ * @returns {object} A copy starting with `format` and `version`.
+ */
+export function stampTreeData(data) {
+    return { format: TREE_DATA_FORMAT, version: TREE_DATA_VERSION, ...data };
+}
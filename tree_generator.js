@@ -1,37 +1,548 @@
-import * as THREE from 'three';
+// Relative import (same file the pages' import map points 'three' at), because import maps
+// don't apply inside Web Workers (tree_worker.js) or Node.js.
+import * as THREE from './three.module.js';
+import { createRandom, deriveSeed, normalizeSeed, randomSeed } from './tree_random.js';
+import { validateTreeParams, formatValidationIssues } from './tree_schema.js';
+import { resolveSpecies } from './tree_species.js';
+import { DEFAULT_LSYSTEM, MAX_LSYSTEM_LENGTH, parseLSystemAxiom, parseLSystemRules, expandLSystem, countLSystemInstances } from './tree_lsystem.js';
+import { DEFAULT_COLONIZATION, growSpaceColonization, measureColonizedTree, countColonizationInstances, isColonizationTwig } from './tree_colonization.js';
+import { resolveWeberPenn, growWeberPenn } from './tree_weber_penn.js';
 
 /**
- * Estimates the maximum number of instances (branches/leaves) needed.
- * @param {object} config - Configuration object containing maxDepth and numBranches.
- * @param {number} estimateFactor - Buffer factor to multiply the calculated count by.
- * @returns {number} Estimated maximum instances.
+ * Default safety cap on generated instances (applies to branches and leaves separately).
+ * Output arrays grow to the real count; the cap only exists so huge parameter combinations
+ * can't freeze the page. When it is hit the result is flagged as `truncated`.
  */
-function estimateMaxInstances(config, estimateFactor = 1.5) {
-    let count = 0;
-    const depth = config.maxDepth || 5;
-    const branches = config.numBranches || 2;
-    for (let i = 0; i <= depth; i++) {
-        count += Math.pow(branches, i);
+export const DEFAULT_MAX_INSTANCES = 100000;
+
+/** Triangles drawn per branch instance (default 8-sided capped cylinder) and per leaf instance (plane). */
+export const TRIANGLES_PER_BRANCH = 32;
+export const TRIANGLES_PER_LEAF = 2;
+
+/**
+ * Triangles drawn per branch instance for a config's branch geometry: a capped cylinder with
+ * radialSegments sides has 2 triangles per side and 1 per side in each cap.
+ * @param {object} config - Tree parameters (radialSegments, default 8).
+ * @returns {number} Triangles per branch.
+ */
+export function getTrianglesPerBranch(config) {
+    return 4 * (config.radialSegments ?? 8);
+}
+
+/** Index of the random stream (derived from the tree's seed) for stochastic L-system rules. */
+const GRAMMAR_STREAM = 0x15157;
+
+/** Index of the random stream (derived from the tree's seed) for the space colonization attraction points. */
+const COLONIZATION_STREAM = 0x5C010;
+
+/** Index of the random stream (derived from the tree's seed) for the Weber-Penn variations. */
+const WEBER_PENN_STREAM = 0x3EB3A;
+
+/** Upper limit for the leaf enlargement used to keep a pruned canopy's coverage. */
+const MAX_BUDGET_LEAF_SCALE = 3;
+
+/** options.onProgress is called every time this many more instances have been generated. */
+const PROGRESS_INTERVAL = 4096;
+
+/**
+ * Calls the progress callback (if any) when another PROGRESS_INTERVAL instances have been generated.
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ */
+function reportProgress(state) {
+    if (!state.onProgress) return;
+    const generated = state.branches.count + state.leaves.count;
+    if (generated >= state.nextProgressAt) {
+        state.nextProgressAt = generated + PROGRESS_INTERVAL;
+        state.onProgress(Math.min(generated / state.expectedInstances, 1));
+    }
+}
+
+/**
+ * Checks whether the instance limit of one kind leaves room for another instance, and marks the tree truncated
+ * when it doesn't. Each kind is only checked when adding one, so a full leaf limit cuts leaves, never branches.
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ * @param {'branches'|'leaves'} kind - Kind of instance to add.
+ * @returns {boolean} True if the instance can be added.
+ */
+function hasRoomFor(state, kind) {
+    const limit = kind === 'branches' ? state.branchLimit : state.leafLimit;
+    if (state[kind].count < limit) return true;
+    state.truncated = true; // Reported in the result, parts of the tree are missing
+    return false;
+}
+
+/**
+ * Predicts the instance counts of a tree whose recursion stops at `depth`, without generating it.
+ * The radius shrinks by the same factor on every level, so this is exact unless random length
+ * variance ends a branch early (segments under 0.01 long) - then it is an upper bound.
+ * @param {object} config - The tree generation configuration object.
+ * @param {number} depth - Depth limit to predict for.
+ * @returns {{depth: number, branches: number, leaves: number, triangles: number}} Predicted counts; `depth` is
+ *          the number of levels that actually produce branches.
+ */
+function predictInstanceCounts(config, depth) {
+    const minRadius = config.minRadius ?? 0.1;
+    const numBranches = config.numBranches ?? 2;
+    const radiusFactor = config.radiusFactor ?? 0.6;
+    const initialLength = config.initialLength ?? 10;
+    let radius = config.initialRadius ?? (initialLength / 15);
+
+    let level = 0;
+    let nodes = 1;
+    let branches = 0;
+    while (level < depth && radius >= minRadius) {
+        branches += nodes;
+        nodes *= numBranches;
+        radius *= radiusFactor;
+        level++;
+    }
+    const leaves = level > 0 ? nodes * 2 : 0; // Every terminal call adds 2 leaves, except on a bare trunk
+
+    return {
+        depth: level,
+        branches,
+        leaves,
+        triangles: branches * getTrianglesPerBranch(config) + leaves * TRIANGLES_PER_LEAF
+    };
+}
+
+/**
+ * Works out how deep a tree may grow to stay within its instance budget.
+ * Budget fields in the config (0 or missing = no limit): maxBranches, maxLeaves, maxTriangles.
+ * Whole levels are pruned from the tips; to keep the silhouette, the last remaining level is
+ * lengthened to roughly where the pruned levels would have reached, and leaves are enlarged
+ * to cover about the same canopy area with fewer instances.
+ * @param {object} config - The tree generation configuration object.
+ * @returns {{active: boolean, prunedParam: string, depth: number, fullDepth: number, prunedLevels: number,
+ *            withinBudget: boolean, predicted: object, full: object, tipExtension: number, leafScale: number}} The budget
+ *            plan: predicted counts at the chosen depth, counts of the unpruned tree and the silhouette compensation factors.
+ */
+export function planInstanceBudget(config) {
+    const maxBranches = config.maxBranches || Infinity;
+    const maxLeaves = config.maxLeaves || Infinity;
+    const maxTriangles = config.maxTriangles || Infinity;
+    const fits = (counts) => counts.branches <= maxBranches && counts.leaves <= maxLeaves && counts.triangles <= maxTriangles;
+
+    const full = predictInstanceCounts(config, config.maxDepth ?? 5);
+    let predicted = full;
+    while (predicted.depth > 1 && !fits(predicted)) {
+        predicted = predictInstanceCounts(config, predicted.depth - 1);
+    }
+    const prunedLevels = full.depth - predicted.depth;
+
+    // Each pruned level would have added a child segment of lengthFactor times the length,
+    // tilted by branchAngle, so extend the last segment by the sum of those projected lengths.
+    const lengthFactor = config.lengthFactor ?? 0.7;
+    const projectedFactor = lengthFactor * Math.cos(THREE.MathUtils.degToRad(config.branchAngle ?? 30));
+    let tipExtension = 1;
+    for (let k = 1; k <= prunedLevels; k++) {
+        tipExtension += Math.pow(projectedFactor, k);
     }
-    // Increase buffer slightly for leaves (assuming 2 leaves per terminal branch)
-    return Math.ceil(count * estimateFactor * 1.5);
+    const leafScale = prunedLevels > 0 && predicted.leaves > 0
+        ? Math.min(Math.sqrt(full.leaves / predicted.leaves), MAX_BUDGET_LEAF_SCALE)
+        : 1;
+
+    return {
+        active: Number.isFinite(maxBranches) || Number.isFinite(maxLeaves) || Number.isFinite(maxTriangles),
+        prunedParam: 'maxDepth',
+        depth: predicted.depth,
+        fullDepth: full.depth,
+        prunedLevels,
+        withinBudget: fits(predicted),
+        predicted,
+        full,
+        tipExtension,
+        leafScale
+    };
+}
+
+/**
+ * Expands an L-system tree's grammar (see tree_lsystem.js), dropping iterations until it fits the instance budget.
+ * The F and L modules of the string are exactly the branches and leaves, so the prediction is exact.
+ * Every expansion replays the same random stream, so stochastic rules make the same choices at every iteration count.
+ * @param {object} config - Tree parameters with algorithm 'lsystem' (axiom, rules, iterations).
+ * @param {number} seed - The tree's seed (stochastic rules draw from a stream derived from it).
+ * @returns {{modules: object[], lengthCapped: boolean, budget: object}} The modules to interpret, whether iterations
+ *          were skipped because the string grew too long, and the budget plan (same shape as planInstanceBudget's,
+ *          counting iterations instead of depth levels).
+ */
+function planLSystem(config, seed) {
+    const maxBranches = config.maxBranches || Infinity;
+    const maxLeaves = config.maxLeaves || Infinity;
+    const maxTriangles = config.maxTriangles || Infinity;
+    const fits = (counts) => counts.branches <= maxBranches && counts.leaves <= maxLeaves && counts.triangles <= maxTriangles;
+
+    // Syntax errors fail validation first
+    const { modules: axiom } = parseLSystemAxiom(config.axiom ?? DEFAULT_LSYSTEM.axiom);
+    const { rules } = parseLSystemRules(config.rules ?? DEFAULT_LSYSTEM.rules);
+    const expand = (iterations) => {
+        const random = createRandom(deriveSeed(seed, GRAMMAR_STREAM));
+        const expansion = expandLSystem(axiom, rules, iterations, { random });
+        const { branches, leaves } = countLSystemInstances(expansion.modules);
+        const counts = {
+            depth: expansion.iterations,
+            branches,
+            leaves,
+            triangles: branches * getTrianglesPerBranch(config) + leaves * TRIANGLES_PER_LEAF
+        };
+        return { expansion, counts };
+    };
+
+    const full = expand(config.iterations ?? DEFAULT_LSYSTEM.iterations);
+    let chosen = full;
+    while (chosen.counts.depth > 0 && !fits(chosen.counts)) {
+        chosen = expand(chosen.counts.depth - 1);
+    }
+
+    return {
+        modules: chosen.expansion.modules,
+        lengthCapped: full.expansion.truncated,
+        budget: {
+            active: Number.isFinite(maxBranches) || Number.isFinite(maxLeaves) || Number.isFinite(maxTriangles),
+            prunedParam: 'iterations',
+            depth: chosen.counts.depth,
+            fullDepth: full.counts.depth,
+            prunedLevels: full.counts.depth - chosen.counts.depth,
+            withinBudget: fits(chosen.counts),
+            predicted: chosen.counts,
+            full: full.counts,
+            tipExtension: 1,
+            leafScale: 1
+        }
+    };
+}
+
+/**
+ * Grows a space colonization tree (see tree_colonization.js), then drops growth steps until it fits the
+ * instance budget. Growth steps only add nodes, so an earlier step is exactly the tree grown so far.
+ * @param {object} config - Tree parameters with algorithm 'spaceColonization'.
+ * @param {number} seed - The tree's seed (the attraction points come from a stream derived from it).
+ * @param {number} maxInstances - Safety cap on branches; growth stops there.
+ * @returns {{tree: object, measured: object, capped: boolean, budget: object}} The grown nodes, their counts up to
+ *          the chosen step (measureColonizedTree), whether the cap or MAX_GROWTH_STEPS stopped the growth, and the
+ *          budget plan (same shape as planInstanceBudget's, counting growth steps instead of depth levels).
+ */
+function planColonization(config, seed, maxInstances) {
+    const maxBranches = config.maxBranches || Infinity;
+    const maxLeaves = config.maxLeaves || Infinity;
+    const maxTriangles = config.maxTriangles || Infinity;
+    const fits = (counts) => counts.branches <= maxBranches && counts.leaves <= maxLeaves && counts.triangles <= maxTriangles;
+
+    const tree = growSpaceColonization({
+        trunkHeight: config.initialLength ?? 10,
+        crownRadius: config.crownRadius ?? DEFAULT_COLONIZATION.crownRadius,
+        crownHeight: config.crownHeight ?? DEFAULT_COLONIZATION.crownHeight,
+        pointCount: config.pointCount ?? DEFAULT_COLONIZATION.pointCount,
+        influenceRadius: config.influenceRadius ?? DEFAULT_COLONIZATION.influenceRadius,
+        killDistance: config.killDistance ?? DEFAULT_COLONIZATION.killDistance,
+        stepSize: config.stepSize ?? DEFAULT_COLONIZATION.stepSize,
+        random: createRandom(deriveSeed(seed, COLONIZATION_STREAM)),
+        maxNodes: maxInstances + 1 // The root node draws no branch
+    });
+    const measure = (step) => {
+        const measured = measureColonizedTree(tree, step);
+        const { branches, leaves } = countColonizationInstances(measured);
+        const counts = {
+            depth: step,
+            branches,
+            leaves,
+            triangles: branches * getTrianglesPerBranch(config) + leaves * TRIANGLES_PER_LEAF
+        };
+        return { measured, counts };
+    };
+
+    const full = measure(tree.stepCount);
+    let chosen = full;
+    if (!fits(full.counts)) {
+        // Branches only grow with the steps: find the last step within maxBranches, then step back for the rest
+        let low = 0;
+        let high = tree.stepCount;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (tree.steps.filter((step) => step <= middle).length - 1 <= maxBranches) low = middle;
+            else high = middle - 1;
+        }
+        chosen = measure(low);
+        while (chosen.counts.depth > 0 && !fits(chosen.counts)) {
+            chosen = measure(chosen.counts.depth - 1);
+        }
+    }
+
+    return {
+        tree,
+        measured: chosen.measured,
+        capped: tree.truncated,
+        budget: {
+            active: Number.isFinite(maxBranches) || Number.isFinite(maxLeaves) || Number.isFinite(maxTriangles),
+            prunedParam: 'growthSteps',
+            depth: chosen.counts.depth,
+            fullDepth: full.counts.depth,
+            prunedLevels: full.counts.depth - chosen.counts.depth,
+            withinBudget: fits(chosen.counts),
+            predicted: chosen.counts,
+            full: full.counts,
+            tipExtension: 1,
+            leafScale: 1
+        }
+    };
+}
+
+/**
+ * Counts a Weber-Penn tree (see tree_weber_penn.js) by growing it without output, dropping stem levels until it
+ * fits the instance budget (the leaves then grow on the last level left). Every count replays the same random
+ * stream, so the prediction is exact.
+ * @param {object} config - Tree parameters with algorithm 'weberPenn' (the `weberPenn` block).
+ * @param {number} seed - The tree's seed (the variations come from a stream derived from it).
+ * @param {number} maxInstances - Safety cap on branches and on leaves; counting stops there.
+ * @returns {{params: object, levels: number, budget: object}} The complete parameters, the stem levels to grow and
+ *          the budget plan (same shape as planInstanceBudget's, counting stem levels instead of depth levels).
+ */
+function planWeberPenn(config, seed, maxInstances) {
+    const maxBranches = config.maxBranches || Infinity;
+    const maxLeaves = config.maxLeaves || Infinity;
+    const maxTriangles = config.maxTriangles || Infinity;
+    const fits = (counts) => counts.branches <= maxBranches && counts.leaves <= maxLeaves && counts.triangles <= maxTriangles;
+
+    const params = resolveWeberPenn(config.weberPenn);
+    const count = (levels) => {
+        const counts = { depth: levels, branches: 0, leaves: 0, triangles: 0 };
+        growWeberPenn(params, createRandom(deriveSeed(seed, WEBER_PENN_STREAM)), {
+            branch: () => (counts.branches < maxInstances ? counts.branches++ : -1),
+            leaf: () => {
+                if (counts.leaves >= maxInstances) return false;
+                counts.leaves++;
+                return true;
+            }
+        }, levels);
+        counts.triangles = counts.branches * getTrianglesPerBranch(config) + counts.leaves * TRIANGLES_PER_LEAF;
+        return counts;
+    };
+
+    const full = count(params.levels);
+    let chosen = full;
+    while (chosen.depth > 1 && !fits(chosen)) {
+        chosen = count(chosen.depth - 1);
+    }
+
+    return {
+        params,
+        levels: chosen.depth,
+        budget: {
+            active: Number.isFinite(maxBranches) || Number.isFinite(maxLeaves) || Number.isFinite(maxTriangles),
+            prunedParam: 'levels',
+            depth: chosen.depth,
+            fullDepth: full.depth,
+            prunedLevels: full.depth - chosen.depth,
+            withinBudget: fits(chosen),
+            predicted: chosen,
+            full,
+            tipExtension: 1,
+            leafScale: 1
+        }
+    };
+}
+
+/**
+ * Records a branch segment in the skeleton graph (when one is being built).
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ * @param {number} parentIndex - Index of the parent branch, or -1 for the trunk.
+ * @param {number} level - Depth level of the segment.
+ * @param {THREE.Matrix4} baseMatrix - World matrix at the base of the segment.
+ * @param {THREE.Matrix4} tipMatrix - World matrix at the tip of the segment.
+ * @param {number} length - Segment length.
+ * @param {number} radius - Segment base radius.
+ */
+function addSkeletonBranch(state, parentIndex, level, baseMatrix, tipMatrix, length, radius) {
+    if (!state.skeleton) return;
+    const index = state.skeleton.branches.length;
+    state.skeleton.branches.push({
+        index, // Same as the branch instance index
+        parent: parentIndex,
+        level,
+        start: new THREE.Vector3().setFromMatrixPosition(baseMatrix),
+        end: new THREE.Vector3().setFromMatrixPosition(tipMatrix),
+        length,
+        radius,
+        children: [],
+        leaves: []
+    });
+    if (parentIndex >= 0) {
+        state.skeleton.branches[parentIndex].children.push(index);
+    }
+}
+
+/**
+ * Records a leaf in the skeleton graph (when one is being built), linked to its owning branch.
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ * @param {number} branchIndex - Index of the branch the leaf grows on (-1 for none).
+ * @param {THREE.Matrix4} leafMatrix - World matrix of the leaf.
+ */
+function addSkeletonLeaf(state, branchIndex, leafMatrix) {
+    if (!state.skeleton) return;
+    const index = state.skeleton.leaves.length;
+    state.skeleton.leaves.push({
+        index, // Same as the leaf instance index
+        branch: branchIndex,
+        position: new THREE.Vector3().setFromMatrixPosition(leafMatrix)
+    });
+    if (branchIndex >= 0) { // An L-system may place leaves before drawing any branch
+        state.skeleton.branches[branchIndex].leaves.push(index);
+    }
+}
+
+/**
+ * Creates the collector for one kind of instance (branches or leaves). It stores matrices either as
+ * THREE.Matrix4 copies (default output) or straight into a growable Float32Array laid out like
+ * InstancedMesh.instanceMatrix (16 floats per instance), which avoids one allocation per instance.
+ * @param {boolean} typed - Write into a Float32Array instead of collecting Matrix4 objects.
+ * @param {number} capacity - Expected number of instances (typed output is preallocated for it).
+ * @param {Float32Array} [buffer] - Caller-provided buffer to write into, replaced by a larger one if too small.
+ * @returns {{count: number, matrices: THREE.Matrix4[]|null, array: Float32Array|null, push: function(THREE.Matrix4): void}} The sink.
+ */
+function createMatrixSink(typed, capacity, buffer) {
+    if (!typed) {
+        return {
+            count: 0,
+            matrices: [],
+            array: null,
+            push(matrix) {
+                this.matrices.push(matrix.clone());
+                this.count++;
+            }
+        };
+    }
+
+    return {
+        count: 0,
+        matrices: null,
+        array: buffer && buffer.length >= capacity * 16 ? buffer : new Float32Array(Math.max(capacity, 1) * 16),
+        push(matrix) {
+            if ((this.count + 1) * 16 > this.array.length) {
+                const grown = new Float32Array(this.array.length * 2); // Only if the prediction was too low
+                grown.set(this.array);
+                this.array = grown;
+            }
+            matrix.toArray(this.array, this.count * 16);
+            this.count++;
+        }
+    };
+}
+
+// --- Scratch objects, reused for every node instead of allocating per branch/leaf ---
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+const AXIS_Z = new THREE.Vector3(0, 0, 1);
+const DOWN = new THREE.Vector3(0, -1, 0);
+const scratch = {
+    scale: new THREE.Matrix4(),
+    translation: new THREE.Matrix4(),
+    local: new THREE.Matrix4(),
+    world: new THREE.Matrix4(),
+    rotation: new THREE.Matrix4(),
+    tip: new THREE.Matrix4(),
+    euler: new THREE.Euler(),
+    qSpread: new THREE.Quaternion(),
+    qBranch: new THREE.Quaternion(),
+    orientation: new THREE.Quaternion(),
+    direction: new THREE.Vector3(),
+    point: new THREE.Vector3(),
+    bendAxis: new THREE.Vector3(),
+    position: new THREE.Vector3()
+};
+
+/**
+ * Returns the scratch objects of one recursion level. These have to survive the recursive calls
+ * made from that level (the child loop keeps using them), so each level gets its own set.
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ * @param {number} level - Recursion depth level.
+ * @returns {{childBase: THREE.Matrix4, nextParent: THREE.Matrix4, random: function(): number}} Level scratch.
+ */
+function getLevelScratch(state, level) {
+    if (!state.levels[level]) {
+        state.levels[level] = {
+            childBase: new THREE.Matrix4(),
+            nextParent: new THREE.Matrix4(),
+            random: createRandom(0)
+        };
+    }
+    return state.levels[level];
+}
+
+/**
+ * Adds one randomly rotated leaf at the given position matrix.
+ * @param {object} state - Generation state (see generateTreeMatrices).
+ * @param {THREE.Matrix4} positionMatrix - World matrix where the leaf sits.
+ * @param {THREE.Matrix4} scaleMatrix - Leaf scale matrix.
+ * @param {function(): number} random - The owning node's random stream.
+ * @param {number} branchIndex - Index of the branch the leaf grows on.
+ */
+function addLeaf(state, positionMatrix, scaleMatrix, random, branchIndex) {
+    scratch.euler.set(random() * Math.PI, random() * Math.PI * 2, random() * Math.PI);
+    scratch.orientation.setFromEuler(scratch.euler);
+    scratch.rotation.makeRotationFromQuaternion(scratch.orientation);
+    const leafMatrix = scratch.world
+        .multiplyMatrices(positionMatrix, scratch.rotation)
+        .multiply(scaleMatrix);
+    state.leaves.push(leafMatrix);
+    addSkeletonLeaf(state, branchIndex, leafMatrix);
+    reportProgress(state);
+}
+
+/**
+ * Bends a branch's base matrix towards the ground (droop), rotating it about its own base.
+ * Like a branch's own weight, the bend is strongest for horizontal branches and fades for upright or hanging ones.
+ * Applied on every level, so it accumulates and the tips of long branches hang down (e.g. willows).
+ * @param {THREE.Matrix4} matrix - World matrix at the base of a branch (rotation + translation only). Modified in place.
+ * @param {number} droop - Bend strength (0..1); 1 bends a horizontal branch by 90 degrees per level.
+ */
+function bendTowardsGround(matrix, droop) {
+    const angle = scratch.direction.setFromMatrixColumn(matrix, 1).normalize().angleTo(DOWN); // Branches grow along local +Y
+    turnBranch(matrix, DOWN, Math.min(droop * Math.sin(angle) * Math.PI / 2, angle));
+}
+
+/**
+ * Turns a branch's base matrix to point straight up (the leader of a tree with apical dominance).
+ * @param {THREE.Matrix4} matrix - World matrix at the base of a branch (rotation + translation only). Modified in place.
+ */
+function straightenUp(matrix) {
+    const angle = scratch.direction.setFromMatrixColumn(matrix, 1).normalize().angleTo(AXIS_Y);
+    turnBranch(matrix, AXIS_Y, angle);
+}
+
+/**
+ * Rotates a branch's base matrix about its own base, turning its growth direction (local +Y) towards a target direction.
+ * @param {THREE.Matrix4} matrix - World matrix at the base of a branch (rotation + translation only). Modified in place.
+ * @param {THREE.Vector3} target - Unit direction to turn towards.
+ * @param {number} angle - How far to turn (radians).
+ */
+function turnBranch(matrix, target, angle) {
+    const direction = scratch.direction.setFromMatrixColumn(matrix, 1).normalize();
+    const axis = scratch.bendAxis.crossVectors(direction, target);
+    if (angle < 1e-6 || axis.lengthSq() < 1e-12) return; // Nothing to turn, or already (anti)parallel to the target
+
+    scratch.orientation.setFromAxisAngle(axis.normalize(), angle);
+    scratch.position.setFromMatrixPosition(matrix);
+    matrix.premultiply(scratch.rotation.makeRotationFromQuaternion(scratch.orientation)).setPosition(scratch.position);
 }
 
 /**
  * Recursive function to collect transformation matrices for branches and leaves.
  * Adapted for standalone module use.
- * @param {THREE.Matrix4[]} branchMatricesArray - Array to store branch matrices.
- * @param {THREE.Matrix4[]} leafMatricesArray - Array to store leaf matrices.
- * @param {object} config - The tree generation configuration object.
- * @param {number} estimatedMaxInstances - Pre-calculated instance limit.
+ * @param {object} state - Generation state: config, output sinks, instance limits and optional skeleton.
+ * @param {number} nodeSeed - Seed of this branch's random stream. Children derive their own seeds from it,
+ *                            so changing one part of the tree doesn't reshuffle the rest.
  * @param {number} level - The current recursion depth level.
  * @param {THREE.Matrix4} parentMatrix - The world transformation matrix ending at the base of this branch.
  * @param {number} length - The length of this branch segment.
  * @param {number} radius - The radius at the base of this branch segment.
+ * @param {number} parentIndex - Index of the branch this one grows from (-1 for the trunk).
+ * @param {boolean} isLeader - Whether this branch is the trunk or continues it (see config.apicalDominance).
  */
-function collectBranchDataRecursive(branchMatricesArray, leafMatricesArray, config, estimatedMaxInstances, level, parentMatrix, length, radius) {
+function collectBranchDataRecursive(state, nodeSeed, level, parentMatrix, length, radius, parentIndex, isLeader) {
+    const { config } = state;
+
     // --- Get necessary config with defaults ---
-    const maxDepth = config.maxDepth ?? 5;
+    const maxDepth = state.depthLimit;
     const minRadius = config.minRadius ?? 0.1;
     const numBranches = config.numBranches ?? 2;
     const lengthFactor = config.lengthFactor ?? 0.7;
@@ -40,58 +551,48 @@ function collectBranchDataRecursive(branchMatricesArray, leafMatricesArray, conf
     const angleVariance = config.angleVariance ?? 10;
     const lengthVariance = config.lengthVariance ?? 10;
     const leafSize = config.leafSize ?? 0.5;
+    const droop = config.droop ?? 0;
+    const apicalDominance = config.apicalDominance ?? 0;
+    const levelScratch = getLevelScratch(state, level);
+    const random = levelScratch.random.reseed(nodeSeed);
 
     // --- Base Case: Stop recursion ---
     const isTerminal = level >= maxDepth || length <= 0.01 || radius < minRadius;
-    const reachedLimit = branchMatricesArray.length >= estimatedMaxInstances || leafMatricesArray.length >= estimatedMaxInstances - 1; // Check space for branches + 2 leaves
-
-    if (isTerminal || reachedLimit) {
-        if (reachedLimit && !isTerminal) {
-            // console.warn("Instance limit reached during generation.");
-        }
-
-        // --- Add Leaves if it's a natural terminal branch (not just limit reached) ---
-        if (isTerminal && level > 0) { // Don't add leaves to the base trunk segment (level 0)
-            const canAddLeaves = leafMatricesArray.length < estimatedMaxInstances - 1;
-            if (canAddLeaves) {
-                const scale = leafSize;
-                const scaleMatrix = new THREE.Matrix4().makeScale(scale, scale, scale);
-
-                // --- Leaf at Base of this Terminal Segment ---
-                const randomQuatBase = new THREE.Quaternion().setFromEuler(
-                    new THREE.Euler(Math.random() * Math.PI, Math.random() * Math.PI * 2, Math.random() * Math.PI)
-                );
-                const rotationMatrixBase = new THREE.Matrix4().makeRotationFromQuaternion(randomQuatBase);
-                const leafMatrixBase = new THREE.Matrix4()
-                    .multiply(parentMatrix) // Position at the start of this segment
-                    .multiply(rotationMatrixBase)
-                    .multiply(scaleMatrix);
-                leafMatricesArray.push(leafMatrixBase);
-
-                // --- Leaf at Tip of this Terminal Segment ---
-                const endPointTranslation = new THREE.Matrix4().makeTranslation(0, length, 0);
-                const tipMatrix = new THREE.Matrix4().multiplyMatrices(parentMatrix, endPointTranslation);
-                const randomQuatTip = new THREE.Quaternion().setFromEuler(
-                    new THREE.Euler(Math.random() * Math.PI, Math.random() * Math.PI * 2, Math.random() * Math.PI)
-                );
-                const rotationMatrixTip = new THREE.Matrix4().makeRotationFromQuaternion(randomQuatTip);
-                const leafMatrixTip = new THREE.Matrix4()
-                    .multiply(tipMatrix) // Position at the end of this segment
-                    .multiply(rotationMatrixTip)
-                    .multiply(scaleMatrix);
-                leafMatricesArray.push(leafMatrixTip);
+
+    if (isTerminal) {
+        // --- Add Leaves to the terminal branch ---
+        if (level > 0) { // Don't add leaves to the base trunk segment (level 0)
+            const scale = leafSize * state.leafScale;
+            const scaleMatrix = scratch.scale.makeScale(scale, scale, scale);
+
+            // --- Leaf at Base of this Terminal Segment ---
+            if (hasRoomFor(state, 'leaves')) {
+                addLeaf(state, parentMatrix, scaleMatrix, random, parentIndex);
+            }
+
+            // --- Leaf at Tip of this Terminal Segment ---
+            if (hasRoomFor(state, 'leaves')) {
+                scratch.translation.makeTranslation(0, length, 0);
+                const tipMatrix = scratch.tip.multiplyMatrices(parentMatrix, scratch.translation);
+                addLeaf(state, tipMatrix, scaleMatrix, random, parentIndex);
             }
         }
         return; // Stop recursion
     }
+    if (!hasRoomFor(state, 'branches')) {
+        return; // Its children (and their leaves) are cut too
+    }
 
     // --- Calculate Branch Matrix ---
     const actualRadius = Math.max(radius, minRadius);
-    const scaleMatrixBranch = new THREE.Matrix4().makeScale(actualRadius * 2, length, actualRadius * 2);
-    const translationMatrixBranch = new THREE.Matrix4().makeTranslation(0, length / 2, 0);
-    const localMatrix = new THREE.Matrix4().multiplyMatrices(translationMatrixBranch, scaleMatrixBranch);
-    const worldMatrix = new THREE.Matrix4().multiplyMatrices(parentMatrix, localMatrix);
-    branchMatricesArray.push(worldMatrix);
+    // Last level of a budget-pruned tree reaches out to where the pruned levels would have ended
+    const segmentLength = level === maxDepth - 1 ? length * state.tipExtension : length;
+    scratch.scale.makeScale(actualRadius * 2, segmentLength, actualRadius * 2);
+    scratch.translation.makeTranslation(0, segmentLength / 2, 0);
+    scratch.local.multiplyMatrices(scratch.translation, scratch.scale);
+    state.branches.push(scratch.world.multiplyMatrices(parentMatrix, scratch.local));
+    const branchIndex = state.branches.count - 1;
+    reportProgress(state);
 
     // --- Calculate parameters for child branches ---
     const nextLevel = level + 1;
@@ -99,59 +600,319 @@ function collectBranchDataRecursive(branchMatricesArray, leafMatricesArray, conf
     const baseNextRadius = actualRadius * radiusFactor;
 
     // --- Calculate starting matrix for children ---
-    const childBaseMatrix = new THREE.Matrix4();
-    const endPointTranslationChild = new THREE.Matrix4().makeTranslation(0, length, 0);
-    childBaseMatrix.multiplyMatrices(parentMatrix, endPointTranslationChild);
+    const childBaseMatrix = levelScratch.childBase;
+    scratch.translation.makeTranslation(0, segmentLength, 0);
+    childBaseMatrix.multiplyMatrices(parentMatrix, scratch.translation);
+    addSkeletonBranch(state, parentIndex, level, parentMatrix, childBaseMatrix, segmentLength, actualRadius);
 
     // --- Create Child Branches ---
     const angleStep = numBranches > 1 ? 360 / numBranches : 0;
 
     for (let i = 0; i < numBranches; i++) {
-        if (branchMatricesArray.length >= estimatedMaxInstances || leafMatricesArray.length >= estimatedMaxInstances -1) break;
-
         // Apply randomness/variance
-        const lenVarFactor = 1 + (Math.random() - 0.5) * 2 * (lengthVariance / 100);
-        const angleVar = (Math.random() - 0.5) * 2 * angleVariance;
-        const spreadVar = (Math.random() - 0.5) * (angleStep * 0.4);
+        const lenVarFactor = 1 + (random() - 0.5) * 2 * (lengthVariance / 100);
+        const angleVar = (random() - 0.5) * 2 * angleVariance;
+        const spreadVar = (random() - 0.5) * (angleStep * 0.4);
 
-        const nextLength = baseNextLength * lenVarFactor;
+        let nextLength = baseNextLength * lenVarFactor;
         const nextRadius = baseNextRadius;
 
         const branchAngleDeg = branchAngle + angleVar;
+        const childIsLeader = isLeader && i === 0;
+        const leads = childIsLeader && apicalDominance > 0;
+        if (leads) {
+            // The trunk's first child continues it as the leader: it grows upright (below) and shortens less.
+            // (Same radius as its siblings, so predictInstanceCounts() stays exact.)
+            nextLength *= THREE.MathUtils.lerp(1, 1 / lengthFactor, apicalDominance);
+        }
         const baseSpreadAngleDeg = angleStep * i;
         const spreadAngleDeg = baseSpreadAngleDeg + spreadVar;
 
         const branchAngleRad = THREE.MathUtils.degToRad(branchAngleDeg);
         const spreadAngleRad = THREE.MathUtils.degToRad(spreadAngleDeg);
 
-        const qSpread = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), spreadAngleRad);
-        const qBranch = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), branchAngleRad);
-        const orientationQuat = new THREE.Quaternion().multiplyQuaternions(qSpread, qBranch);
+        scratch.qSpread.setFromAxisAngle(AXIS_Y, spreadAngleRad);
+        scratch.qBranch.setFromAxisAngle(AXIS_X, branchAngleRad);
+        scratch.orientation.multiplyQuaternions(scratch.qSpread, scratch.qBranch);
 
-        const rotationMatrix = new THREE.Matrix4().makeRotationFromQuaternion(orientationQuat);
-        const nextParentMatrix = new THREE.Matrix4().multiplyMatrices(childBaseMatrix, rotationMatrix);
+        scratch.rotation.makeRotationFromQuaternion(scratch.orientation);
+        const nextParentMatrix = levelScratch.nextParent.multiplyMatrices(childBaseMatrix, scratch.rotation);
+        if (leads) {
+            straightenUp(nextParentMatrix);
+        } else if (droop > 0) {
+            bendTowardsGround(nextParentMatrix, droop);
+        }
 
         // Recursively call
-        collectBranchDataRecursive(branchMatricesArray, leafMatricesArray, config, estimatedMaxInstances, nextLevel, nextParentMatrix, nextLength, nextRadius);
+        collectBranchDataRecursive(state, deriveSeed(nodeSeed, i), nextLevel, nextParentMatrix, nextLength, nextRadius, branchIndex, childIsLeader);
+    }
+}
+
+/**
+ * Turtle rotations of the L-system commands: the axis (in the turtle's local frame, heading along +Y)
+ * and the direction of the turn.
+ */
+const TURTLE_TURNS = {
+    '+': [AXIS_Z, 1],
+    '-': [AXIS_Z, -1],
+    '&': [AXIS_X, 1],
+    '^': [AXIS_X, -1],
+    '\\': [AXIS_Y, 1],
+    '/': [AXIS_Y, -1]
+};
+
+/**
+ * Interprets an expanded L-system string (see tree_lsystem.js) with a 3D turtle, collecting the same
+ * branch and leaf matrices as collectBranchDataRecursive. The turtle starts at the origin heading up.
+ * A module's first parameter replaces the config value of its command (lengths, angles in degrees, radius,
+ * leaf size) and skips its variance; parameters that aren't finite numbers are ignored.
+ * @param {object} state - Generation state: config, output sinks, instance limits and optional skeleton.
+ * @param {number} seed - Seed of the random stream for the angle/length variance and leaf rotations.
+ * @param {{symbol: string, params: number[]}[]} modules - Expanded modules.
+ */
+function interpretLSystem(state, seed, modules) {
+    const { config } = state;
+    const initialLength = config.initialLength ?? 10;
+    const lengthFactor = config.lengthFactor ?? 0.7;
+    const radiusFactor = config.radiusFactor ?? 0.6;
+    const minRadius = config.minRadius ?? 0.1;
+    const branchAngle = THREE.MathUtils.degToRad(config.branchAngle ?? 30);
+    const angleVariance = THREE.MathUtils.degToRad(config.angleVariance ?? 10);
+    const lengthVariance = (config.lengthVariance ?? 10) / 100;
+    const droop = config.droop ?? 0;
+    const leafScale = (config.leafSize ?? 0.5) * state.leafScale;
+    const leafScaleMatrix = new THREE.Matrix4().makeScale(leafScale, leafScale, leafScale);
+    const random = createRandom(seed);
+
+    // Turtle states: the current one is stack[depth], pushing copies it one level up (entries are reused)
+    const stack = [];
+    const getEntry = (depth) => {
+        if (!stack[depth]) stack[depth] = { matrix: new THREE.Matrix4(), length: 0, radius: 0, branchIndex: -1 };
+        return stack[depth];
+    };
+    let depth = 0;
+    let turtle = getEntry(0);
+    turtle.matrix.identity();
+    turtle.length = initialLength;
+    turtle.radius = config.initialRadius ?? (initialLength / 15);
+    turtle.branchIndex = -1;
+
+    for (const { symbol, params } of modules) {
+        const value = params.length > 0 && Number.isFinite(params[0]) ? params[0] : null;
+        if (symbol === 'F' || symbol === 'f') {
+            let length = turtle.length;
+            if (value !== null) {
+                length = Math.max(value, 0);
+            } else if (symbol === 'F') {
+                length *= 1 + (random() - 0.5) * 2 * lengthVariance;
+            }
+            if (symbol === 'F' && droop > 0) {
+                bendTowardsGround(turtle.matrix, droop);
+            }
+            scratch.translation.makeTranslation(0, length, 0);
+            const tipMatrix = scratch.tip.multiplyMatrices(turtle.matrix, scratch.translation);
+
+            if (symbol === 'F' && state.branches.count >= state.branchLimit) {
+                state.truncated = true; // Keep moving, so the rest of the string stays in place
+            } else if (symbol === 'F') {
+                const radius = Math.max(turtle.radius, minRadius);
+                scratch.scale.makeScale(radius * 2, length, radius * 2);
+                scratch.translation.makeTranslation(0, length / 2, 0);
+                scratch.local.multiplyMatrices(scratch.translation, scratch.scale);
+                state.branches.push(scratch.world.multiplyMatrices(turtle.matrix, scratch.local));
+                addSkeletonBranch(state, turtle.branchIndex, depth, turtle.matrix, tipMatrix, length, radius);
+                turtle.branchIndex = state.branches.count - 1;
+                reportProgress(state);
+            }
+            turtle.matrix.copy(tipMatrix);
+        } else if (symbol in TURTLE_TURNS) {
+            const [axis, sign] = TURTLE_TURNS[symbol];
+            const angle = value !== null
+                ? THREE.MathUtils.degToRad(value)
+                : branchAngle + (random() - 0.5) * 2 * angleVariance;
+            turtle.matrix.multiply(scratch.rotation.makeRotationAxis(axis, sign * angle));
+        } else if (symbol === '|') {
+            turtle.matrix.multiply(scratch.rotation.makeRotationAxis(AXIS_Z, Math.PI));
+        } else if (symbol === '!') {
+            turtle.radius = value !== null ? Math.max(value, 0) : turtle.radius * radiusFactor;
+        } else if (symbol === '"') {
+            turtle.length = value !== null ? Math.max(value, 0) : turtle.length * lengthFactor;
+        } else if (symbol === 'L') {
+            if (state.leaves.count >= state.leafLimit) {
+                state.truncated = true;
+            } else {
+                const size = value !== null ? Math.max(value, 0) * state.leafScale : null;
+                const scaleMatrix = size !== null ? scratch.scale.makeScale(size, size, size) : leafScaleMatrix;
+                addLeaf(state, turtle.matrix, scaleMatrix, random, turtle.branchIndex);
+            }
+        } else if (symbol === '[') {
+            const parent = turtle;
+            depth++;
+            turtle = getEntry(depth);
+            turtle.matrix.copy(parent.matrix);
+            turtle.length = parent.length;
+            turtle.radius = parent.radius;
+            turtle.branchIndex = parent.branchIndex;
+        } else if (symbol === ']' && depth > 0) {
+            depth--;
+            turtle = stack[depth];
+        }
+    }
+}
+
+/**
+ * Turns a space colonization tree (see tree_colonization.js) into branch and leaf matrices: one branch from each
+ * node's parent to the node, and a leaf at every twig node past the first fork. Radii follow the pipe model (a branch's cross-section
+ * is the sum of the tips it carries), scaled so the trunk starts at initialRadius.
+ * @param {object} state - Generation state: config, output sinks, instance limits and optional skeleton.
+ * @param {number} seed - Seed of the random stream for the leaf rotations.
+ * @param {{tree: object, measured: object}} plan - planColonization() result.
+ */
+function interpretColonization(state, seed, plan) {
+    const { config } = state;
+    const { positions, parents } = plan.tree;
+    const { nodeCount, tips, levels } = plan.measured;
+    const initialLength = config.initialLength ?? 10;
+    const initialRadius = config.initialRadius ?? (initialLength / 15);
+    const minRadius = config.minRadius ?? 0.1;
+    const tipRadius = initialRadius / Math.sqrt(tips[0]);
+    const leafScale = (config.leafSize ?? 0.5) * state.leafScale;
+    const leafScaleMatrix = new THREE.Matrix4().makeScale(leafScale, leafScale, leafScale);
+    const random = createRandom(seed);
+    const baseMatrix = new THREE.Matrix4();
+    const tipMatrix = new THREE.Matrix4();
+
+    for (let node = 1; node < nodeCount; node++) {
+        if (state.branches.count >= state.branchLimit) {
+            state.truncated = true; // Parents come first, so the nodes so far are a whole tree
+            break;
+        }
+        const parent = parents[node];
+
+        scratch.direction.fromArray(positions, node * 3).sub(scratch.point.fromArray(positions, parent * 3));
+        const length = scratch.direction.length();
+        scratch.orientation.setFromUnitVectors(AXIS_Y, scratch.direction.divideScalar(length));
+        baseMatrix.makeRotationFromQuaternion(scratch.orientation).setPosition(scratch.point);
+        tipMatrix.copy(baseMatrix).setPosition(scratch.point.fromArray(positions, node * 3));
+
+        const radius = Math.max(tipRadius * Math.sqrt(tips[node]), minRadius);
+        scratch.scale.makeScale(radius * 2, length, radius * 2);
+        scratch.translation.makeTranslation(0, length / 2, 0);
+        scratch.local.multiplyMatrices(scratch.translation, scratch.scale);
+        state.branches.push(scratch.world.multiplyMatrices(baseMatrix, scratch.local));
+        addSkeletonBranch(state, parent - 1, levels[node], baseMatrix, tipMatrix, length, radius); // Branch i ends at node i + 1
+        reportProgress(state);
+
+        if (isColonizationTwig(plan.measured, node)) {
+            if (state.leaves.count >= state.leafLimit) {
+                state.truncated = true;
+            } else {
+                addLeaf(state, tipMatrix, leafScaleMatrix, random, node - 1);
+            }
+        }
     }
 }
 
+/**
+ * Grows a Weber-Penn tree (see tree_weber_penn.js) into branch and leaf matrices: one branch per stem segment and
+ * the model's leaves. Leaves are sized by the model's leafScale, times leafSize relative to its default (0.5).
+ * @param {object} state - Generation state: config, output sinks, instance limits and optional skeleton.
+ * @param {number} seed - The tree's seed (the variations come from a stream derived from it).
+ * @param {{params: object, levels: number}} plan - planWeberPenn() result.
+ */
+function interpretWeberPenn(state, seed, plan) {
+    const leafScale = plan.params.leafScale * ((state.config.leafSize ?? 0.5) / 0.5) * state.leafScale;
+    const tipMatrix = new THREE.Matrix4();
+    growWeberPenn({ ...plan.params, leafScale }, createRandom(deriveSeed(seed, WEBER_PENN_STREAM)), {
+        branch(parentIndex, level, baseMatrix, length, radius) {
+            if (state.branches.count >= state.branchLimit) {
+                state.truncated = true; // Parents come first, so the segments so far are a whole tree
+                return -1;
+            }
+            scratch.scale.makeScale(radius * 2, length, radius * 2);
+            scratch.translation.makeTranslation(0, length / 2, 0);
+            scratch.local.multiplyMatrices(scratch.translation, scratch.scale);
+            state.branches.push(scratch.world.multiplyMatrices(baseMatrix, scratch.local));
+            tipMatrix.multiplyMatrices(baseMatrix, scratch.translation.makeTranslation(0, length, 0));
+            addSkeletonBranch(state, parentIndex, level, baseMatrix, tipMatrix, length, radius);
+            reportProgress(state);
+            return state.branches.count - 1;
+        },
+        leaf(leafMatrix, branchIndex) {
+            if (state.leaves.count >= state.leafLimit) {
+                state.truncated = true;
+                return false;
+            }
+            state.leaves.push(leafMatrix);
+            addSkeletonLeaf(state, branchIndex, leafMatrix);
+            reportProgress(state);
+            return true;
+        }
+    }, plan.levels);
+}
+
 /**
  * Generates tree branch and leaf matrices based on configuration parameters.
  * @param {object} config - Configuration object matching the structure saved in tree_params.json.
  *                          Should include: maxDepth, initialLength, initialRadius, lengthFactor, branchAngle,
  *                          radiusFactor, minRadius, numBranches, angleVariance, lengthVariance, leafSize, etc.
- * @returns {{branchMatrices: THREE.Matrix4[], leafMatrices: THREE.Matrix4[]}} Object containing arrays of matrices.
+ *                          Optional growth shape: droop (branches bend towards the ground) and apicalDominance
+ *                          (the trunk continues as a leader through its first child, e.g. conifers).
+ *                          `species` (see tree_species.js) starts from a built-in preset that the other params override.
+ *                          algorithm 'lsystem' grows the tree from a grammar instead (axiom, rules, iterations; see
+ *                          tree_lsystem.js and interpretLSystem()), with the budget dropping iterations rather than depth.
+ *                          algorithm 'spaceColonization' grows it towards attraction points in a crown volume (pointCount,
+ *                          influenceRadius, killDistance, stepSize, crownRadius, crownHeight; see tree_colonization.js),
+ *                          with the budget dropping growth steps.
+ *                          algorithm 'weberPenn' uses the Weber & Penn model with the parameters in the `weberPenn`
+ *                          block (see tree_weber_penn.js), with the budget dropping stem levels.
+ *                          An optional `seed` makes the result reproducible; without it a random seed is picked.
+ *                          Optional budget fields (maxBranches, maxLeaves, maxTriangles) prune the depth to fit,
+ *                          see planInstanceBudget().
+ * @param {object} [options] - Output options.
+ * @param {boolean} [options.skeleton=false] - Also return the branch skeleton graph: one node per branch segment
+ *                          ({index, parent, level, start, end, length, radius, children, leaves}) and one entry per leaf
+ *                          ({index, branch, position}). Indices match the branch/leaf instance order.
+ * @param {number} [options.maxInstances=DEFAULT_MAX_INSTANCES] - Safety cap on branches and on leaves.
+ * @param {string} [options.output='matrices'] - 'matrices' returns THREE.Matrix4 arrays (branchMatrices/leafMatrices).
+ *                          'float32' writes into Float32Arrays (branchArray/leafArray, 16 floats per instance) that can
+ *                          back InstancedMesh.instanceMatrix directly.
+ * @param {Float32Array} [options.branchBuffer] - With 'float32' output: preallocated buffer to write branches into.
+ *                          If it is too small a larger one is allocated, so always use the returned branchArray.
+ * @param {Float32Array} [options.leafBuffer] - Same as branchBuffer, for leaves.
+ * @param {function(number): void} [options.onProgress] - Called with the completed fraction (0..1) during long runs.
+ * @param {boolean} [options.quiet=false] - Don't log the counts/truncation to the console (the result reports them).
+ * @returns {{branchMatrices?: THREE.Matrix4[], leafMatrices?: THREE.Matrix4[], branchArray?: Float32Array,
+ *          leafArray?: Float32Array, branchCount: number, leafCount: number, triangleCount: number, truncated: boolean,
+ *          budget: object, seed: number, generationMs: number, warnings: object[], skeleton?: object}} Object
+ *          containing the matrices (arrays or typed arrays, depending on options.output), their counts, whether a
+ *          cap cut the tree short, the budget plan, the seed that was used, how long generation took,
+ *          validation warnings (see validateTreeParams) plus generation ones (field null), and (optionally) the skeleton.
+ * @throws {Error} If the config fails validation (the error's `errors` property lists the field-level errors).
  */
-export function generateTreeMatrices(config) {
+export function generateTreeMatrices(config, options = {}) {
+    const typed = options.output === 'float32';
+    const startedAt = performance.now();
     if (!config) {
         console.error("generateTreeMatrices requires a configuration object.");
-        return { branchMatrices: [], leafMatrices: [] };
+        const empty = typed
+            ? { branchArray: new Float32Array(0), leafArray: new Float32Array(0) }
+            : { branchMatrices: [], leafMatrices: [] };
+        return { ...empty, branchCount: 0, leafCount: 0, triangleCount: 0, truncated: false, budget: null, seed: 0, generationMs: 0, warnings: [] };
     }
 
-    const branchMatrices = [];
-    const leafMatrices = [];
-    const estimatedMax = estimateMaxInstances(config);
+    // Species presets by name: { species: 'pine', ...overrides }
+    config = resolveSpecies(config);
+
+    // Reject params the generator can't build a sensible tree from (wrong types, negative depth, ...)
+    const validation = validateTreeParams(config);
+    if (!validation.valid) {
+        const error = new Error(`Invalid tree parameters:\n${formatValidationIssues(validation.errors)}`);
+        error.errors = validation.errors;
+        throw error;
+    }
+
+    const skeleton = options.skeleton ? { branches: [], leaves: [] } : null;
 
     // Ensure required starting parameters exist
     const initialLength = config.initialLength ?? 10;
@@ -159,13 +920,141 @@ export function generateTreeMatrices(config) {
 
     const initialMatrix = new THREE.Matrix4(); // Identity matrix for the root
 
+    // Same seed + same config => same tree
+    const seed = normalizeSeed(config.seed ?? randomSeed());
+
+    // Fit the instance budget (if any) by pruning depth (or L-system iterations, growth steps or stem levels)
+    const maxInstances = options.maxInstances ?? DEFAULT_MAX_INSTANCES;
+    const lsystem = config.algorithm === 'lsystem' ? planLSystem(config, seed) : null;
+    const colonization = config.algorithm === 'spaceColonization' ? planColonization(config, seed, maxInstances) : null;
+    const weberPenn = config.algorithm === 'weberPenn' ? planWeberPenn(config, seed, maxInstances) : null;
+    const budget = lsystem?.budget ?? colonization?.budget ?? weberPenn?.budget ?? planInstanceBudget(config);
+    const pruned = budget.prunedLevels > 0;
+    const branchLimit = Math.min(maxInstances, config.maxBranches || Infinity);
+    const leafLimit = Math.min(maxInstances, config.maxLeaves || Infinity);
+
     // Start the recursive collection process
-    collectBranchDataRecursive(branchMatrices, leafMatrices, config, estimatedMax, 0, initialMatrix, initialLength, initialRadius);
+    // (the prediction is exact for most trees, so typed output is allocated once at the right size)
+    const expectedBranches = Math.min(budget.predicted.branches, branchLimit);
+    const expectedLeaves = Math.min(budget.predicted.leaves, leafLimit);
+    const state = {
+        config,
+        branches: createMatrixSink(typed, expectedBranches, options.branchBuffer),
+        leaves: createMatrixSink(typed, expectedLeaves, options.leafBuffer),
+        levels: [],
+        depthLimit: pruned ? budget.depth : (config.maxDepth ?? 5),
+        tipExtension: pruned ? budget.tipExtension : 1,
+        leafScale: budget.leafScale,
+        branchLimit,
+        leafLimit,
+        truncated: false,
+        skeleton,
+        onProgress: options.onProgress,
+        expectedInstances: Math.max(expectedBranches + expectedLeaves, 1),
+        nextProgressAt: PROGRESS_INTERVAL
+    };
+    if (lsystem) {
+        state.truncated = lsystem.lengthCapped; // Iterations were skipped, the grammar grew too long
+        interpretLSystem(state, seed, lsystem.modules);
+    } else if (colonization) {
+        state.truncated = colonization.capped; // The growth stopped at the safety cap (or MAX_GROWTH_STEPS)
+        interpretColonization(state, seed, colonization);
+    } else if (weberPenn) {
+        interpretWeberPenn(state, seed, weberPenn);
+    } else {
+        collectBranchDataRecursive(state, seed, 0, initialMatrix, initialLength, initialRadius, -1, true);
+    }
+    if (state.onProgress) {
+        state.onProgress(1);
+    }
 
-    console.log(`Generated ${branchMatrices.length} branch matrices and ${leafMatrices.length} leaf matrices.`);
+    const branchCount = state.branches.count;
+    const leafCount = state.leaves.count;
+    const warnings = [...validation.warnings];
+    const bareTrunk = colonization && !colonization.measured.forked
+        ? 'Space colonization grew no branches, the tree is a bare trunk without leaves. Use a larger Influence Radius or move the crown closer to the trunk.'
+        : null;
+    if (bareTrunk) {
+        warnings.push({ field: null, message: bareTrunk });
+    }
+    if (!options.quiet) {
+        console.log(`Generated ${branchCount} branch matrices and ${leafCount} leaf matrices.`);
+        if (lsystem?.lengthCapped) {
+            console.warn(`L-system string would grow past ${MAX_LSYSTEM_LENGTH} modules, only ${budget.fullDepth} iterations were applied.`);
+        } else if (colonization?.capped) {
+            console.warn(`Space colonization stopped after ${budget.fullDepth} growth steps with ${colonization.tree.remainingPoints} attraction points left. The tree is truncated.`);
+        } else if (state.truncated) {
+            console.warn(`Instance limit (${Math.min(branchLimit, leafLimit)}) reached during generation. The tree is truncated.`);
+        }
+        if (bareTrunk) {
+            console.warn(bareTrunk);
+        }
+    }
+
+    const result = typed
+        ? { branchArray: state.branches.array, leafArray: state.leaves.array }
+        : { branchMatrices: state.branches.matrices, leafMatrices: state.leaves.matrices };
+    Object.assign(result, {
+        branchCount,
+        leafCount,
+        triangleCount: branchCount * getTrianglesPerBranch(config) + leafCount * TRIANGLES_PER_LEAF,
+        truncated: state.truncated,
+        budget,
+        seed,
+        generationMs: performance.now() - startedAt,
+        warnings
+    });
+    if (skeleton) {
+        result.skeleton = skeleton;
+    }
+    return result;
+}
+
+/**
+ * Compares two generated trees matrix by matrix (e.g. the editor's instances against a fresh
+ * generateTreeMatrices() run with the same config and seed).
+ * @param {{branchMatrices: THREE.Matrix4[], leafMatrices: THREE.Matrix4[]}} a - First tree.
+ * @param {{branchMatrices: THREE.Matrix4[], leafMatrices: THREE.Matrix4[]}} b - Second tree.
+ * @param {number} [tolerance=1e-4] - Largest per-element difference still treated as equal
+ *                                    (instance buffers store Float32, so exact equality is too strict).
+ * @returns {{match: boolean, branchCounts: number[], leafCounts: number[], branchMismatches: number[],
+ *            leafMismatches: number[], maxDifference: number}} Counts of both trees, indices of differing matrices
+ *            and the largest element difference found.
+ */
+export function compareTreeMatrices(a, b, tolerance = 1e-4) {
+    let maxDifference = 0;
+
+    const compareLists = (listA, listB) => {
+        const mismatches = [];
+        const count = Math.max(listA.length, listB.length);
+        for (let i = 0; i < count; i++) {
+            if (!listA[i] || !listB[i]) {
+                mismatches.push(i); // Present in only one of the trees
+                continue;
+            }
+            const elementsA = listA[i].elements;
+            const elementsB = listB[i].elements;
+            let difference = 0;
+            for (let e = 0; e < 16; e++) {
+                difference = Math.max(difference, Math.abs(elementsA[e] - elementsB[e]));
+            }
+            maxDifference = Math.max(maxDifference, difference);
+            if (difference > tolerance) {
+                mismatches.push(i);
+            }
+        }
+        return mismatches;
+    };
+
+    const branchMismatches = compareLists(a.branchMatrices, b.branchMatrices);
+    const leafMismatches = compareLists(a.leafMatrices, b.leafMatrices);
 
     return {
-        branchMatrices,
-        leafMatrices
+        match: branchMismatches.length === 0 && leafMismatches.length === 0,
+        branchCounts: [a.branchMatrices.length, b.branchMatrices.length],
+        leafCounts: [a.leafMatrices.length, b.leafMatrices.length],
+        branchMismatches,
+        leafMismatches,
+        maxDifference
     };
-} 
\ No newline at end of file
+}
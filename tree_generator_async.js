@@ -0,0 +1,144 @@
+/**
+ * Worker-backed asynchronous tree generation.
+ * Generation runs in tree_worker.js, so deep trees don't stall the UI or the OrbitControls.
+ * Results use the 'float32' output of generateTreeMatrices (branchArray/leafArray), transferred without copying.
+ */
+import { generateTreeMatrices } from './tree_generator.js';
+
+/**
+ * A superseded job that has been running longer than this (ms) is stopped by restarting the worker.
+ * Shorter jobs are left to finish (their result is dropped), since starting a worker also takes time.
+ */
+const RESTART_AFTER_MS = 100;
+
+/**
+ * Creates the error a cancelled job's promise is rejected with.
+ * @returns {DOMException} An AbortError.
+ */
+function createAbortError() {
+    return new DOMException("Tree generation was cancelled.", 'AbortError');
+}
+
+/**
+ * Creates an asynchronous tree generator backed by a Web Worker.
+ * Only the latest job matters: starting a new one cancels the one in flight, whose promise
+ * then rejects with an AbortError (callers can simply ignore those).
+ * If module workers are unavailable, generation falls back to the main thread.
+ * @returns {{generate: function(object, object=): Promise<object>, cancel: function(): void, dispose: function(): void}}
+ *          generate(config, options) resolves with the generateTreeMatrices result ('float32' output), or rejects
+ *          with its error (an invalid config's error keeps the `errors` property, also from the worker).
+ *          options are passed to generateTreeMatrices, plus `onProgress(fraction)`. Reused branchBuffer/leafBuffer
+ *          arrays are transferred to the worker, so they can't be used by the caller afterwards (use the result's).
+ */
+export function createAsyncTreeGenerator() {
+    let worker = null;
+    let useMainThread = typeof Worker === 'undefined';
+    let nextJobId = 1;
+    let currentJob = null; // { id, config, options, onProgress, resolve, reject, startedAt }
+
+    function getWorker() {
+        if (!worker) {
+            worker = new Worker(new URL('./tree_worker.js', import.meta.url), { type: 'module' });
+            worker.addEventListener('message', handleWorkerMessage);
+            worker.addEventListener('error', handleWorkerError);
+        }
+        return worker;
+    }
+
+    function stopWorker() {
+        if (worker) {
+            worker.terminate();
+            worker = null;
+        }
+    }
+
+    function handleWorkerMessage(event) {
+        const { id, type } = event.data;
+        if (!currentJob || id !== currentJob.id) return; // Result of a superseded job
+        const job = currentJob;
+
+        if (type === 'progress') {
+            if (job.onProgress) job.onProgress(event.data.progress);
+        } else if (type === 'result') {
+            currentJob = null;
+            job.resolve(event.data.result);
+        } else if (type === 'error') {
+            currentJob = null;
+            const error = new Error(event.data.message);
+            if (event.data.errors) {
+                error.errors = event.data.errors; // Same as the main thread's validation error
+            }
+            job.reject(error);
+        }
+    }
+
+    function handleWorkerError(event) {
+        // Errors during generation are posted as messages, so this means the worker itself failed to load
+        event.preventDefault();
+        console.warn("Tree worker unavailable, generating on the main thread instead.", event.message);
+        stopWorker();
+        useMainThread = true;
+        if (currentJob) {
+            runOnMainThread(currentJob);
+        }
+    }
+
+    function runOnMainThread(job) {
+        // Deferred, so a newer job started in the same tick still supersedes this one
+        setTimeout(() => {
+            if (currentJob !== job) return;
+            try {
+                const result = generateTreeMatrices(job.config, { ...job.options, output: 'float32', onProgress: job.onProgress });
+                currentJob = null;
+                job.resolve(result);
+            } catch (error) {
+                currentJob = null;
+                job.reject(error);
+            }
+        }, 0);
+    }
+
+    function cancel() {
+        if (!currentJob) return;
+        const job = currentJob;
+        currentJob = null;
+        if (worker && performance.now() - job.startedAt > RESTART_AFTER_MS) {
+            stopWorker(); // Long job: restart the worker rather than wait for it
+        }
+        job.reject(createAbortError());
+    }
+
+    function generate(config, options = {}) {
+        cancel();
+        const { onProgress, ...generatorOptions } = options;
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: nextJobId++,
+                config,
+                options: generatorOptions,
+                onProgress,
+                resolve,
+                reject,
+                startedAt: performance.now()
+            };
+            currentJob = job;
+
+            if (useMainThread) {
+                runOnMainThread(job);
+            } else {
+                // Hand reused output buffers over instead of copying them (they come back in the result)
+                const transfer = [generatorOptions.branchBuffer, generatorOptions.leafBuffer]
+                    .filter(Boolean).map(array => array.buffer);
+                getWorker().postMessage({ id: job.id, config, options: generatorOptions }, transfer);
+            }
+        });
+    }
+
+    function dispose() {
+        cancel();
+        stopWorker();
+    }
+
+    return { generate, cancel, dispose };
+}
@@ -0,0 +1,408 @@
+/**
+ * L-system grammar: an axiom and production rules, rewritten a number of times into a string of turtle
+ * commands (modules). tree_generator.js interprets the result with a 3D turtle (algorithm: 'lsystem'), producing
+ * the same branch/leaf matrices as the recursive generator, so grammar trees work in every viewer.
+ *
+ * Rules are written one per line as `A -> successor`; `#` starts a comment. Whitespace is ignored.
+ * Rules can also be parametric, conditional and stochastic (`predecessor : condition -> successor : probability`):
+ *   A(l,w) : l > 1 -> F(l)[+A(l*0.7,w*0.6)] : 0.8
+ * Module parameters, conditions and arguments are expressions over the predecessor's parameters
+ * (see tree_expressions.js). A module is rewritten by a rule with the same symbol and number of parameters whose
+ * condition holds; when several match, one is picked at random, weighted by probability (default 1). If the
+ * probabilities of the matches add up to less than 1, the rest is the chance that the module stays as it is.
+ * The random choices come from the random function given to expandLSystem() (seeded by the tree's seed).
+ * Turtle commands (any other symbol is only rewritten):
+ *   F  draw a branch segment and move to its end     f  move without drawing
+ *   +  turn left  (about the local Z axis)           -  turn right
+ *   &  pitch down (about the local X axis)           ^  pitch up
+ *   \  roll left  (about the heading)                /  roll right
+ *   |  turn around                                   L  add a leaf
+ *   !  shrink the radius (radiusFactor)              "  shrink the length (lengthFactor)
+ *   [  push the turtle state (start a branch)        ]  pop it (return to the fork)
+ * Turns use branchAngle (+/- angleVariance), segments initialLength (+/- lengthVariance). A parameter gives the
+ * exact value instead: F(l) and f(l) a length, the turns an angle in degrees, !(r) the radius, "(l) the length of
+ * the following segments and L(s) the leaf size.
+ */
+import { readExpression, compileExpression } from './tree_expressions.js';
+import { createRandom } from './tree_random.js';
+
+/** Grammar used when a config doesn't give one: a trunk that forks into three branches per iteration. */
+export const DEFAULT_LSYSTEM = {
+    axiom: 'FA',
+    rules: 'A -> !"[&FLA]////[&FLA]////[&FLA]',
+    iterations: 5
+};
+
+/** Longest module string expandLSystem builds. Iterations that would exceed it are skipped. */
+export const MAX_LSYSTEM_LENGTH = 2000000;
+
+/** Symbols that structure the string and can't be rewritten or take parameters. */
+const BRACKETS = '[]';
+
+/** Characters of the rule syntax that can't be used as symbols. */
+const RESERVED = '(),:';
+
+/** Parameters of a module that has none (shared, never modified). */
+const NO_PARAMS = Object.freeze([]);
+
+/** Parameterless modules, one shared object per symbol. */
+const plainModules = {};
+
+/**
+ * Returns the shared module of a symbol without parameters.
+ * @param {string} symbol - The symbol.
+ * @returns {{symbol: string, params: number[]}} The module.
+ */
+function getPlainModule(symbol) {
+    if (!plainModules[symbol]) plainModules[symbol] = Object.freeze({ symbol, params: NO_PARAMS });
+    return plainModules[symbol];
+}
+
+/**
+ * Creates a syntax error pointing at a position in the text being parsed.
+ * @param {string} message - What is wrong.
+ * @param {number} position - 0-based index.
+ * @returns {Error} Error with a `position` property (like tree_expressions.js's errors).
+ */
+function syntaxError(message, position) {
+    const error = new Error(message);
+    error.position = position;
+    return error;
+}
+
+/**
+ * Formats a grammar error for messages.
+ * @param {{line: number, column: number|null, message: string}} error - Error from parseLSystemRules or checkLSystemAxiom.
+ * @returns {string} e.g. 'Line 2, column 12: unmatched "]"'.
+ */
+export function formatLSystemError(error) {
+    return error.column === null
+        ? `Line ${error.line}: ${error.message}`
+        : `Line ${error.line}, column ${error.column}: ${error.message}`;
+}
+
+/**
+ * Parses a module string (an axiom or a successor): symbols, each optionally followed by parameter expressions
+ * in parentheses, e.g. `F(l)[+A(l*0.7,w)]`. Also checks that the brackets are balanced.
+ * @param {string} text - The module string.
+ * @param {number} offset - Index of text in the line, added to error positions.
+ * @param {string[]} names - Parameter names the expressions may use.
+ * @returns {{symbol: string, args: function[], module?: object}[]} Module templates: the symbol and its compiled
+ *          parameter expressions (modules without parameters carry their shared module instead).
+ * @throws {Error} On a syntax error (its `position` property is the 0-based index in the line).
+ */
+function readModules(text, offset, names) {
+    const templates = [];
+    const open = [];
+    let i = 0;
+    const skipSpace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    skipSpace();
+    while (i < text.length) {
+        const symbol = text[i];
+        if (RESERVED.includes(symbol)) {
+            const message = symbol === '(' ? '"(" must follow a symbol, e.g. "F(2)"' : `unexpected "${symbol}"`;
+            throw syntaxError(message, offset + i);
+        }
+        if (symbol === '[') {
+            open.push(i);
+        } else if (symbol === ']' && open.pop() === undefined) {
+            throw syntaxError('unmatched "]"', offset + i);
+        }
+        i++;
+        skipSpace();
+
+        const args = [];
+        if (text[i] === '(') {
+            if (BRACKETS.includes(symbol)) {
+                throw syntaxError('"[" and "]" take no parameters', offset + i);
+            }
+            do {
+                i++; // "(" or ","
+                let expression;
+                try {
+                    expression = readExpression(text, i, names);
+                } catch (error) {
+                    throw syntaxError(error.message, offset + error.position);
+                }
+                args.push(expression.evaluate);
+                i = expression.end;
+            } while (text[i] === ',');
+            if (text[i] !== ')') {
+                throw syntaxError(i < text.length ? `expected "," or ")" instead of "${text[i]}"` : `"(" after "${symbol}" is never closed`,
+                    offset + Math.min(i, text.length - 1));
+            }
+            i++;
+            skipSpace();
+        }
+        templates.push(args.length > 0 ? { symbol, args } : { symbol, args, module: getPlainModule(symbol) });
+    }
+    if (open.length > 0) {
+        throw syntaxError('"[" is never closed', offset + open[open.length - 1]);
+    }
+    return templates;
+}
+
+/**
+ * Turns module templates into modules, evaluating their parameter expressions.
+ * @param {{symbol: string, args: function[], module?: object}[]} templates - From readModules().
+ * @param {number[]} values - Values of the parameter names the expressions use.
+ * @param {object[]} out - Array the modules are appended to.
+ */
+function instantiateModules(templates, values, out) {
+    for (const template of templates) {
+        out.push(template.module ?? { symbol: template.symbol, params: template.args.map((arg) => arg(values)) });
+    }
+}
+
+/**
+ * Parses an axiom (its parameters must be constant expressions, e.g. `A(10, 1)`).
+ * @param {string} axiom - The start string.
+ * @returns {{modules: {symbol: string, params: number[]}[], errors: {line: number, column: number|null, message: string}[]}}
+ *          The start modules, and the errors (line 1 is the axiom).
+ */
+export function parseLSystemAxiom(axiom) {
+    if (typeof axiom !== 'string' || axiom.trim() === '') {
+        return { modules: [], errors: [{ line: 1, column: null, message: "the axiom is empty" }] };
+    }
+    try {
+        const modules = [];
+        instantiateModules(readModules(axiom, 0, []), NO_PARAMS, modules);
+        return { modules, errors: [] };
+    } catch (error) {
+        return { modules: [], errors: [{ line: 1, column: error.position + 1, message: error.message }] };
+    }
+}
+
+/**
+ * Checks an axiom.
+ * @param {string} axiom - The start string.
+ * @returns {{line: number, column: number|null, message: string}[]} Errors (line 1 is the axiom).
+ */
+export function checkLSystemAxiom(axiom) {
+    return parseLSystemAxiom(axiom).errors;
+}
+
+/**
+ * Parses the left side of a rule: a symbol with optional parameter names, e.g. `A` or `A(l,w)`.
+ * @param {string} text - The predecessor.
+ * @returns {{symbol: string, params: string[]}} The symbol and its parameter names.
+ * @throws {Error} On a syntax error (its `position` property is the 0-based index in text).
+ */
+function readPredecessor(text) {
+    const symbolAt = text.search(/\S/);
+    if (symbolAt === -1) {
+        throw syntaxError('the rule has no symbol before "->"', text.length);
+    }
+    const symbol = text[symbolAt];
+    if (BRACKETS.includes(symbol)) {
+        throw syntaxError('"[" and "]" can\'t be rewritten', symbolAt);
+    }
+    const rest = text.slice(symbolAt + 1).trim();
+    const match = /^(?:\(([^()]*)\))?$/.exec(rest);
+    if (RESERVED.includes(symbol) || !match) {
+        throw syntaxError(`the left side must be a single symbol, optionally with parameters like "A(l,w)" (got "${text.trim()}")`, symbolAt);
+    }
+    if (match[1] === undefined) {
+        return { symbol, params: [] };
+    }
+
+    const params = match[1].split(',').map((name) => name.trim());
+    const paramsAt = text.indexOf('(', symbolAt) + 1;
+    params.forEach((name, index) => {
+        if (!/^[A-Za-z_]\w*$/.test(name)) {
+            throw syntaxError(name === '' ? 'a parameter name is missing' : `"${name}" is not a valid parameter name`, paramsAt);
+        }
+        if (params.indexOf(name) !== index) {
+            throw syntaxError(`parameter "${name}" appears twice`, paramsAt);
+        }
+    });
+    return { symbol, params };
+}
+
+/**
+ * Finds the `:` that separates a successor from its probability (outside any parentheses).
+ * @param {string} text - The right side of a rule.
+ * @returns {number} Its index, or -1.
+ */
+function findProbabilitySeparator(text) {
+    let depth = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        else if (text[i] === ':' && depth === 0) return i;
+    }
+    return -1;
+}
+
+/**
+ * Parses one rule line (without its comment).
+ * @param {string} content - The rule text.
+ * @returns {{symbol: string, params: string[], condition: function|null, successor: object[], probability: number,
+ *          stochastic: boolean}} The rule (stochastic: the probability was given).
+ * @throws {Error} On a syntax error (its `position` property is the 0-based index in content).
+ */
+function readRule(content) {
+    const arrow = content.indexOf('->');
+    if (arrow === -1) {
+        throw syntaxError('expected a rule like "A -> successor"', null);
+    }
+
+    // Left side: predecessor and optional condition
+    const left = content.slice(0, arrow);
+    const colon = left.indexOf(':');
+    const { symbol, params } = readPredecessor(colon === -1 ? left : left.slice(0, colon));
+    let condition = null;
+    if (colon !== -1) {
+        const conditionText = left.slice(colon + 1);
+        if (conditionText.trim() === '') {
+            throw syntaxError('the condition after ":" is empty', colon);
+        }
+        try {
+            condition = compileExpression(conditionText, params);
+        } catch (error) {
+            throw syntaxError(error.message, colon + 1 + error.position);
+        }
+    }
+
+    // Right side: successor and optional probability
+    const rightAt = arrow + 2;
+    const right = content.slice(rightAt);
+    const separator = findProbabilitySeparator(right);
+    const successor = readModules(separator === -1 ? right : right.slice(0, separator), rightAt, params);
+    let probability = 1;
+    if (separator !== -1) {
+        const probabilityText = right.slice(separator + 1).trim();
+        probability = Number(probabilityText);
+        if (probabilityText === '' || !(probability > 0 && probability <= 1)) {
+            throw syntaxError(`the probability must be a number above 0 and at most 1 (got "${probabilityText}")`, rightAt + separator);
+        }
+    }
+    return { symbol, params, condition, successor, probability, stochastic: separator !== -1 };
+}
+
+/**
+ * Parses production rules.
+ * @param {string} text - Rules, one `predecessor : condition -> successor : probability` per line (condition and
+ *                        probability optional).
+ * @returns {{rules: Object<string, object[]>, errors: {line: number, column: number|null, message: string}[]}}
+ *          The rules of each symbol, in order, and the syntax errors with their position (1-based line and column
+ *          in the text).
+ */
+export function parseLSystemRules(text) {
+    const rules = {};
+    const errors = [];
+    if (typeof text !== 'string') {
+        errors.push({ line: 1, column: null, message: "rules must be text" });
+        return { rules, errors };
+    }
+
+    text.split('\n').forEach((rawLine, index) => {
+        const line = index + 1;
+        const content = rawLine.split('#')[0];
+        if (content.trim() === '') return;
+
+        let rule;
+        try {
+            rule = readRule(content);
+        } catch (error) {
+            errors.push({ line, column: error.position === null ? null : error.position + 1, message: error.message });
+            return;
+        }
+        // Two plain rules for the same module: the second could never be told apart from the first
+        const shadowed = !rule.condition && !rule.stochastic && rules[rule.symbol]?.find((other) =>
+            !other.condition && !other.stochastic && other.params.length === rule.params.length);
+        if (shadowed) {
+            const column = content.search(/\S/) + 1;
+            const message = `"${rule.symbol}" already has a rule (line ${shadowed.line}); give them conditions or probabilities to choose between them`;
+            errors.push({ line, column, message });
+            return;
+        }
+        rule.line = line;
+        (rules[rule.symbol] ??= []).push(rule);
+    });
+    return { rules, errors };
+}
+
+/** Rules matching the module being rewritten (reused by chooseRule). */
+const matches = [];
+
+/**
+ * Picks the rule that rewrites a module: among the rules with its symbol and number of parameters whose
+ * condition holds, at random by probability.
+ * @param {object[]} candidates - Rules of the module's symbol.
+ * @param {number[]} params - The module's parameters.
+ * @param {function(): number} random - Random function for stochastic choices.
+ * @returns {object|null} The rule, or null to keep the module.
+ */
+function chooseRule(candidates, params, random) {
+    matches.length = 0;
+    let total = 0;
+    for (const rule of candidates) {
+        if (rule.params.length !== params.length || (rule.condition && !rule.condition(params))) continue;
+        matches.push(rule);
+        total += rule.probability;
+    }
+    if (matches.length === 0) return null;
+    if (matches.length === 1 && matches[0].probability === 1) return matches[0]; // Deterministic, no random draw
+
+    // Probabilities adding up to less than 1 leave the module unchanged for the rest
+    let pick = random() * Math.max(total, 1);
+    for (const rule of matches) {
+        pick -= rule.probability;
+        if (pick < 0) return rule;
+    }
+    return null;
+}
+
+/**
+ * Rewrites the axiom with the rules.
+ * @param {string|{symbol: string, params: number[]}[]} axiom - The start string, or its modules (parseLSystemAxiom).
+ * @param {Object<string, object[]>} rules - Rules of each symbol (parseLSystemRules); other symbols stay as they are.
+ * @param {number} iterations - Number of rewriting steps.
+ * @param {object} [options] - Expansion options.
+ * @param {number} [options.maxLength=MAX_LSYSTEM_LENGTH] - Longest allowed result.
+ * @param {function(): number} [options.random] - Random function for stochastic rules (default: seeded with 0).
+ * @returns {{modules: {symbol: string, params: number[]}[], iterations: number, truncated: boolean}} The result,
+ *          the number of steps actually applied, and whether steps were skipped because the string would have grown
+ *          past maxLength.
+ */
+export function expandLSystem(axiom, rules, iterations, options = {}) {
+    const maxLength = options.maxLength ?? MAX_LSYSTEM_LENGTH;
+    const random = options.random ?? createRandom(0);
+    let modules = typeof axiom === 'string' ? parseLSystemAxiom(axiom).modules : axiom;
+    for (let step = 0; step < iterations; step++) {
+        const next = [];
+        for (const module of modules) {
+            const candidates = rules[module.symbol];
+            const rule = candidates ? chooseRule(candidates, module.params, random) : null;
+            if (rule) {
+                instantiateModules(rule.successor, module.params, next);
+            } else {
+                next.push(module);
+            }
+            if (next.length > maxLength) {
+                return { modules, iterations: step, truncated: true };
+            }
+        }
+        modules = next;
+    }
+    return { modules, iterations, truncated: false };
+}
+
+/**
+ * Counts the branches and leaves a module string draws (F and L modules), without interpreting it.
+ * @param {{symbol: string}[]} modules - Expanded modules.
+ * @returns {{branches: number, leaves: number}} Instance counts.
+ */
+export function countLSystemInstances(modules) {
+    let branches = 0;
+    let leaves = 0;
+    for (const { symbol } of modules) {
+        if (symbol === 'F') branches++;
+        else if (symbol === 'L') leaves++;
+    }
+    return { branches, leaves };
+}
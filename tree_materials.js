@@ -0,0 +1,57 @@
+/**
+ * Branch and leaf materials, shared by the editor and both loaders so a tree looks the same everywhere.
+ * Material params (colors, roughness, metalness) are part of the tree params and of tree_data.json's config;
+ * missing ones use the TREE_PARAM_SCHEMA defaults (the editor's look).
+ */
+import * as THREE from './three.module.js';
+import { TREE_PARAM_SCHEMA, MATERIAL_SURFACE_FIELDS } from './tree_schema.js';
+
+/** All material params, in the order they are saved. */
+export const TREE_MATERIAL_PARAMS = ['branchColor', 'leafColor', ...MATERIAL_SURFACE_FIELDS];
+
+/**
+ * Picks the material params from tree params (or a tree_data.json config), filling in defaults.
+ * @param {object} params - Tree params.
+ * @returns {{branchColor: string, leafColor: string, branchRoughness: number, branchMetalness: number,
+ *          leafRoughness: number, leafMetalness: number}} The material params.
+ */
+export function getTreeMaterialParams(params) {
+    const materialParams = {};
+    for (const key of TREE_MATERIAL_PARAMS) {
+        materialParams[key] = params[key] ?? TREE_PARAM_SCHEMA[key].default;
+    }
+    return materialParams;
+}
+
+/**
+ * Creates the branch and leaf materials for tree params.
+ * @param {object} [params={}] - Tree params (missing material params use the defaults).
+ * @param {object} [options] - See applyTreeMaterials.
+ * @returns {{branchMaterial: THREE.MeshStandardMaterial, leafMaterial: THREE.MeshStandardMaterial}} New materials.
+ */
+export function createTreeMaterials(params = {}, options = {}) {
+    const materials = {
+        branchMaterial: new THREE.MeshStandardMaterial(),
+        leafMaterial: new THREE.MeshStandardMaterial({ side: THREE.DoubleSide }) // Leaf planes are seen from both sides
+    };
+    applyTreeMaterials(materials, params, options);
+    return materials;
+}
+
+/**
+ * Updates existing materials (from createTreeMaterials) to tree params, e.g. while a color picker is dragged.
+ * @param {{branchMaterial: THREE.MeshStandardMaterial, leafMaterial: THREE.MeshStandardMaterial}} materials - Materials to update.
+ * @param {object} params - Tree params (missing material params use the defaults).
+ * @param {object} [options]
+ * @param {boolean} [options.instanceColors=false] - The meshes have per-instance colors (see tree_colors.js), which
+ *                          already include the base colors, so the materials are white.
+ */
+export function applyTreeMaterials({ branchMaterial, leafMaterial }, params, options = {}) {
+    const materialParams = getTreeMaterialParams(params);
+    branchMaterial.color.set(options.instanceColors ? '#ffffff' : '#' + materialParams.branchColor);
+    branchMaterial.roughness = materialParams.branchRoughness;
+    branchMaterial.metalness = materialParams.branchMetalness;
+    leafMaterial.color.set(options.instanceColors ? '#ffffff' : '#' + materialParams.leafColor);
+    leafMaterial.roughness = materialParams.leafRoughness;
+    leafMaterial.metalness = materialParams.leafMetalness;
+}
@@ -0,0 +1,75 @@
+/**
+ * Seeded pseudo-random number generation.
+ * Used instead of Math.random() so the same parameters (and seed) always produce the same tree.
+ */
+
+/**
+ * Converts any seed-like value into an unsigned 32-bit integer.
+ * Numbers (and numeric strings) are truncated, other strings are hashed (FNV-1a).
+ * @param {number|string} seed - The seed value to normalize.
+ * @returns {number} Unsigned 32-bit integer seed.
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(Math.abs(seed)) >>> 0;
+    }
+    const text = String(seed ?? '').trim();
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Picks a new random seed (used when the user asks for a fresh variation).
+ * @returns {number} Unsigned 32-bit integer seed.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Creates a deterministic random number generator (mulberry32).
+ * The returned function also has a `reseed(seed)` method that restarts it with a new seed and returns it,
+ * so hot loops can reuse one generator instead of allocating a new one per use.
+ * @param {number|string} seed - Seed value, see normalizeSeed().
+ * @returns {function(): number} Function returning floats in [0, 1), a drop-in replacement for Math.random.
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    random.reseed = (newSeed) => {
+        state = normalizeSeed(newSeed);
+        return random;
+    };
+    return random;
+}
+
+/**
+ * Derives an independent child seed from a parent seed and an index (murmur3 finalizer).
+ * Giving every branch its own derived stream keeps its random choices stable when
+ * other parts of the tree change (e.g. more depth or more branches per node).
+ * @param {number} seed - Parent seed (unsigned 32-bit integer).
+ * @param {number} index - Child index.
+ * @returns {number} Unsigned 32-bit integer seed.
+ */
+export function deriveSeed(seed, index) {
+    let h = (seed ^ Math.imul(index + 1, 0x9E3779B9)) >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85EBCA6B);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xC2B2AE35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
@@ -0,0 +1,253 @@
+/**
+ * Blender "Sapling Tree Gen" presets, converted to Weber-Penn params (algorithm 'weberPenn', see tree_weber_penn.js).
+ * A preset file is a Python dict literal, e.g. `{'levels': 3, 'shape': '7', 'length': (1.0, 0.3, 0.6, 0.0), ...}`.
+ * It is parsed as data (dicts, lists, tuples, strings, numbers, True/False/None), never run.
+ *
+ * Sapling's fields mostly match the model's. Fields that only affect Blender's output (mesh resolution, armature,
+ * animation, the add-on's UI) are dropped silently; the other fields this generator can't use are reported.
+ */
+import { validateTreeParams } from './tree_schema.js';
+
+/** Sapling fields copied as they are (numbers, or per-level tuples that become arrays). */
+const COPIED_FIELDS = ['baseSize', 'scale', 'scaleV', 'levels', 'ratio', 'ratioPower', 'baseSplits', 'leafScale', 'leafScaleX',
+    'length', 'lengthV', 'taper', 'curveRes', 'curve', 'curveBack', 'curveV', 'segSplits', 'splitAngle', 'splitAngleV',
+    'downAngle', 'downAngleV', 'rotate', 'rotateV', 'branches'];
+
+/** Sapling fields that only affect Blender's output, not the tree's shape. */
+const BLENDER_FIELDS = ['do_update', 'chooseSet', 'bevel', 'bevelRes', 'resU', 'handleType', 'showLeaves', 'useArm', 'armAnim',
+    'previewArm', 'armLevels', 'boneStep', 'frameRate', 'loopFrames', 'wind', 'gust', 'gustF', 'af1', 'af2', 'af3', 'leafAnim',
+    'leafDupliObj', 'leafObjZ', 'leafObjY', 'makeMesh', 'limitImport', 'presetName', 'overwrite'];
+
+/** Sapling's custom crown shape, which has no equivalent here. */
+const CUSTOM_SHAPE = 8;
+
+/** Shape used instead of the custom one (tend flame). */
+const FALLBACK_SHAPE = 7;
+
+/**
+ * Creates a syntax error pointing at a position in the preset text.
+ * @param {string} message - What is wrong.
+ * @param {string} text - The preset text.
+ * @param {number} position - 0-based index in the text.
+ * @returns {Error} Error with `position`, `line` and `column` properties (line and column 1-based).
+ */
+function syntaxError(message, text, position) {
+    const before = text.slice(0, position).split('\n');
+    const line = before.length;
+    const column = before[before.length - 1].length + 1;
+    const error = new Error(`${message} (line ${line}, column ${column})`);
+    error.position = position;
+    error.line = line;
+    error.column = column;
+    return error;
+}
+
+/**
+ * Parses a Python literal: dicts, lists, tuples, strings, numbers, True, False and None (comments allowed).
+ * Tuples and lists become arrays, dicts plain objects (keys converted to strings).
+ * @param {string} text - Source text.
+ * @returns {*} The value.
+ * @throws {Error} On a syntax error (with `position`, `line` and `column` properties).
+ */
+export function parsePythonLiteral(text) {
+    let position = 0;
+
+    function skipSpace() {
+        while (position < text.length) {
+            if (/\s/.test(text[position])) {
+                position++;
+            } else if (text[position] === '#') { // Comment to the end of the line
+                while (position < text.length && text[position] !== '\n') position++;
+            } else {
+                break;
+            }
+        }
+    }
+
+    function expect(character) {
+        skipSpace();
+        if (text[position] !== character) {
+            throw syntaxError(position < text.length ? `expected "${character}", found "${text[position]}"` : `expected "${character}"`, text, position);
+        }
+        position++;
+    }
+
+    // Items up to a closing bracket, separated by commas (a trailing comma is allowed)
+    function parseItems(close, parseItem) {
+        const items = [];
+        let trailingComma = false;
+        for (;;) {
+            skipSpace();
+            if (text[position] === close) {
+                position++;
+                return { items, trailingComma };
+            }
+            items.push(parseItem());
+            skipSpace();
+            trailingComma = text[position] === ',';
+            if (trailingComma) {
+                position++;
+            } else if (text[position] !== close) {
+                throw syntaxError(position < text.length ? `expected "," or "${close}", found "${text[position]}"` : `expected "${close}"`, text, position);
+            }
+        }
+    }
+
+    function parseString(quote) {
+        const start = position;
+        position++;
+        let value = '';
+        while (position < text.length && text[position] !== quote) {
+            if (text[position] === '\n') break;
+            if (text[position] === '\\' && position + 1 < text.length) {
+                const escaped = text[position + 1];
+                value += { n: '\n', t: '\t', r: '\r', '0': '\0' }[escaped] ?? escaped;
+                position += 2;
+            } else {
+                value += text[position++];
+            }
+        }
+        if (text[position] !== quote) {
+            throw syntaxError('unterminated string', text, start);
+        }
+        position++;
+        return value;
+    }
+
+    function parseValue() {
+        skipSpace();
+        const start = position;
+        const character = text[position];
+        if (character === '{') {
+            position++;
+            const entries = parseItems('}', () => {
+                skipSpace();
+                const keyStart = position;
+                const key = parseValue();
+                if (key !== null && typeof key === 'object') {
+                    throw syntaxError('dict keys must be strings or numbers', text, keyStart);
+                }
+                expect(':');
+                return [String(key), parseValue()];
+            });
+            return Object.fromEntries(entries.items);
+        }
+        if (character === '[') {
+            position++;
+            return parseItems(']', parseValue).items;
+        }
+        if (character === '(') {
+            position++;
+            const { items, trailingComma } = parseItems(')', parseValue);
+            return items.length === 1 && !trailingComma ? items[0] : items; // (x) is just x, (x,) a tuple
+        }
+        if (character === "'" || character === '"') {
+            return parseString(character);
+        }
+        const number = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(text.slice(position));
+        if (number) {
+            position += number[0].length;
+            return Number(number[0]);
+        }
+        const name = /^[A-Za-z_]\w*/.exec(text.slice(position));
+        if (name) {
+            const constants = { True: true, False: false, None: null };
+            if (!Object.hasOwn(constants, name[0])) {
+                throw syntaxError(`unexpected name "${name[0]}" (only literal values are allowed)`, text, start);
+            }
+            position += name[0].length;
+            return constants[name[0]];
+        }
+        throw syntaxError(position < text.length ? `unexpected "${character}"` : 'the value is incomplete', text, start);
+    }
+
+    const value = parseValue();
+    skipSpace();
+    if (position < text.length) {
+        throw syntaxError(`unexpected "${text[position]}" after the value`, text, position);
+    }
+    return value;
+}
+
+/**
+ * Converts a Sapling preset into tree params for the Weber-Penn generator.
+ * @param {string} text - Contents of the preset file (a Python dict literal).
+ * @returns {{params: object, unsupported: string[], notes: string[]}} The tree params (algorithm, weberPenn block
+ *          and the preset's seed), the preset fields that are ignored because this generator can't use them, and
+ *          what was approximated. Values are not checked here; validateTreeParams() reports bad ones.
+ * @throws {Error} If the text is not a Python dict literal (syntax errors have `line` and `column` properties), or
+ *         its 'shape' is not a number.
+ */
+export function convertSaplingPreset(text) {
+    const preset = parsePythonLiteral(text);
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error("A Sapling preset must be a Python dict, e.g. {'levels': 3, ...}.");
+    }
+
+    const weberPenn = {};
+    const params = { algorithm: 'weberPenn', weberPenn };
+    const unsupported = [];
+    const notes = [];
+    for (const [field, value] of Object.entries(preset)) {
+        if (COPIED_FIELDS.includes(field)) {
+            weberPenn[field] = Array.isArray(value) ? [...value] : value;
+        } else if (field === 'shape') {
+            // An enum string, e.g. '7' (Number() would also turn '', True and None into numbers)
+            const isShape = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '');
+            const shape = isShape ? Number(value) : NaN;
+            if (!Number.isFinite(shape)) {
+                throw new Error(`Sapling preset field 'shape' must be a shape number (0 to ${CUSTOM_SHAPE}), got ${JSON.stringify(value)}.`);
+            }
+            if (shape === CUSTOM_SHAPE) {
+                notes.push(`shape ${CUSTOM_SHAPE} (custom) is not supported, tend flame (${FALLBACK_SHAPE}) is used instead.`);
+            }
+            weberPenn.shape = shape === CUSTOM_SHAPE ? FALLBACK_SHAPE : shape;
+        } else if (field === 'leaves') {
+            if (typeof value === 'number' && value < 0) {
+                notes.push(`leaves is negative (${value}), ${-value} leaves per stem are used.`);
+            }
+            weberPenn.leaves = typeof value === 'number' ? Math.abs(value) : value;
+        } else if (field === 'attractUp') {
+            // Newer Sapling versions attract per level; the model here has one value for all levels
+            if (Array.isArray(value)) {
+                const level = Math.min(Math.max((preset.levels ?? 3) - 1, 0), value.length - 1);
+                notes.push(`attractUp is given per level, only level ${level}'s value (${value[level]}) is used.`);
+                weberPenn.attractionUp = value[level];
+            } else {
+                weberPenn.attractionUp = value;
+            }
+        } else if (field === 'seed') {
+            params.seed = value;
+        } else if (!BLENDER_FIELDS.includes(field)) {
+            unsupported.push(field);
+        }
+    }
+    return { params, unsupported, notes };
+}
+
+/**
+ * Converts and validates a Sapling preset, like validateTreeParams() does for a tree_params.json. The ignored and
+ * approximated preset fields are added to the warnings.
+ * @param {string} text - Contents of the preset file.
+ * @returns {{valid: boolean, errors: {field: string|null, message: string}[], warnings: {field: string|null, message: string}[],
+ *          params: object|null}} validateTreeParams() result for the converted params.
+ * @throws {Error} If the text is not a Python dict literal, or its 'shape' is not a number.
+ */
+export function validateSaplingPreset(text) {
+    const { params, unsupported, notes } = convertSaplingPreset(text);
+    const validation = validateTreeParams(params);
+    validation.warnings.push(...notes.map((message) => ({ field: null, message: `Sapling preset: ${message}` })));
+    if (unsupported.length > 0) {
+        validation.warnings.push({ field: null, message: `Sapling preset: not supported, ignored: ${unsupported.join(', ')}.` });
+    }
+    return validation;
+}
+
+/**
+ * Tells whether a file is a Sapling preset (by its extension) rather than a tree_params.json.
+ * @param {string} fileName - File name or path.
+ * @returns {boolean} True for .py files.
+ */
+export function isSaplingPresetFile(fileName) {
+    return /\.py$/i.test(fileName);
+}
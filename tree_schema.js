@@ -0,0 +1,310 @@
+/**
+ * Schema and validation for tree parameters (tree_params.json) and saved tree data (tree_data.json).
+ * The slider ranges and defaults match tree_editor-001.html and the fallbacks in tree_generator.js.
+ */
+import { TREE_SPECIES, resolveSpecies } from './tree_species.js';
+import { DEFAULT_LSYSTEM, checkLSystemAxiom, parseLSystemRules, formatLSystemError } from './tree_lsystem.js';
+import { DEFAULT_COLONIZATION } from './tree_colonization.js';
+import { DEFAULT_WEBER_PENN, checkWeberPenn } from './tree_weber_penn.js';
+
+/**
+ * Tree parameter schema.
+ * - type: 'integer' | 'number' | 'seed' (number or text) | 'color' (6-digit hex string, no '#')
+ *         | 'species' (a TREE_SPECIES name) | 'enum' (one of the entry's `values`)
+ *         | 'lsystemAxiom' / 'lsystemRules' (L-system grammar text, see tree_lsystem.js)
+ *         | 'weberPenn' (object of Weber-Penn model parameters, see tree_weber_penn.js)
+ * - min/max: the editor slider range. Values outside it are allowed but reported as warnings.
+ * - hardMin/hardMax: values outside these are errors (the generator can't produce a sensible tree).
+ * - positive: the value must be greater than 0 (an error otherwise).
+ * - default: value used when the parameter is missing (undefined = derived or optional, see defaultNote).
+ * - optional: added after the first params files, so a missing value is not worth a warning.
+ * - algorithm: only used by that growth algorithm (or those, for an array). For the others an invalid value is
+ *   just a warning, and a missing one isn't reported.
+ */
+export const TREE_PARAM_SCHEMA = {
+    maxDepth: { type: 'integer', min: 1, max: 10, hardMin: 1, hardMax: 20, default: 5, algorithm: 'recursive', description: "Recursion depth (levels of branches)" },
+    initialLength: { type: 'number', min: 1, max: 20, positive: true, hardMax: 1000, default: 10, algorithm: ['recursive', 'lsystem', 'spaceColonization'], description: "Trunk length" },
+    initialRadius: { type: 'number', min: 0.1, max: 2, positive: true, hardMax: 100, default: undefined, defaultNote: "defaults to initialLength / 15", algorithm: ['recursive', 'lsystem', 'spaceColonization'], description: "Trunk radius" },
+    lengthFactor: { type: 'number', min: 0.4, max: 0.95, positive: true, hardMax: 2, default: 0.7, algorithm: ['recursive', 'lsystem'], description: "Child/parent length ratio" },
+    branchAngle: { type: 'number', min: 5, max: 90, hardMin: 0, hardMax: 180, default: 30, algorithm: ['recursive', 'lsystem'], description: "Branch angle from the parent (degrees)" },
+    radiusFactor: { type: 'number', min: 0.3, max: 0.95, positive: true, hardMax: 2, default: 0.6, algorithm: ['recursive', 'lsystem'], description: "Child/parent radius ratio" },
+    minRadius: { type: 'number', min: 0.01, max: 0.2, hardMin: 0, hardMax: 100, default: 0.1, algorithm: ['recursive', 'lsystem', 'spaceColonization'], description: "Branches thinner than this are not generated" },
+    numBranches: { type: 'integer', min: 1, max: 5, hardMin: 1, hardMax: 20, default: 2, algorithm: 'recursive', description: "Child branches per branch" },
+    angleVariance: { type: 'number', min: 0, max: 45, hardMin: 0, hardMax: 180, default: 10, algorithm: ['recursive', 'lsystem'], description: "Random angle variation (degrees)" },
+    lengthVariance: { type: 'number', min: 0, max: 50, hardMin: 0, hardMax: 100, default: 10, algorithm: ['recursive', 'lsystem'], description: "Random length variation (percent)" },
+    taperFactor: { type: 'number', min: 0.1, max: 1, hardMin: 0, hardMax: 10, default: 0.68, description: "Top/bottom radius ratio of the branch geometry" },
+    radialSegments: { type: 'integer', min: 3, max: 16, hardMin: 3, hardMax: 64, default: 8, optional: true, description: "Sides of the branch cylinders" },
+    leafSize: { type: 'number', min: 0.1, max: 2, positive: true, hardMax: 100, default: 0.5, description: "Leaf scale" },
+    droop: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0, optional: true, algorithm: ['recursive', 'lsystem'], description: "Branches bend towards the ground" },
+    apicalDominance: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0, optional: true, algorithm: 'recursive', description: "The trunk continues as a leader through its first child" },
+    seed: { type: 'seed', default: undefined, defaultNote: "a random tree is generated each time", description: "Random seed" },
+    maxBranches: { type: 'integer', hardMin: 0, default: 0, optional: true, description: "Branch budget (0 = no limit)" },
+    maxLeaves: { type: 'integer', hardMin: 0, default: 0, optional: true, description: "Leaf budget (0 = no limit)" },
+    maxTriangles: { type: 'integer', hardMin: 0, default: 0, optional: true, description: "Triangle budget (0 = no limit)" },
+    branchColor: { type: 'color', default: '5c4033', optional: true, description: "Branch color (hex, no '#')" },
+    leafColor: { type: 'color', default: '228b22', optional: true, description: "Leaf color (hex, no '#')" },
+    branchRoughness: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0.8, optional: true, description: "Branch material roughness" },
+    branchMetalness: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0.3, optional: true, description: "Branch material metalness" },
+    leafRoughness: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0.6, optional: true, description: "Leaf material roughness" },
+    leafMetalness: { type: 'number', min: 0, max: 1, hardMin: 0, hardMax: 1, default: 0.3, optional: true, description: "Leaf material metalness" },
+    hueVariance: { type: 'number', min: 0, max: 60, hardMin: 0, hardMax: 180, default: 0, optional: true, description: "Random per-instance hue variation (+/- degrees)" },
+    saturationVariance: { type: 'number', min: 0, max: 0.5, hardMin: 0, hardMax: 1, default: 0, optional: true, description: "Random per-instance saturation variation (+/-)" },
+    lightnessVariance: { type: 'number', min: 0, max: 0.5, hardMin: 0, hardMax: 1, default: 0, optional: true, description: "Random per-instance lightness variation (+/-)" },
+    colorGradient: { type: 'enum', values: ['none', 'depth', 'height'], default: 'none', optional: true, description: "Lightness gradient: by depth (trunk to twigs, inner to outer leaves) or by height" },
+    gradientStrength: { type: 'number', min: -1, max: 1, hardMin: -1, hardMax: 1, default: 0, optional: true, description: "Lightness change along the gradient (negative = darker tips)" },
+    species: { type: 'species', default: undefined, optional: true, description: "Built-in species preset the other params override (see tree_species.js)" },
+    algorithm: { type: 'enum', values: ['recursive', 'lsystem', 'spaceColonization', 'weberPenn'], default: 'recursive', optional: true, description: "Growth algorithm: recursive splitting, an L-system grammar (axiom, rules, iterations), space colonization (attraction points in a crown), or the Weber-Penn model (weberPenn)" },
+    axiom: { type: 'lsystemAxiom', default: DEFAULT_LSYSTEM.axiom, optional: true, algorithm: 'lsystem', description: "L-system start string" },
+    rules: { type: 'lsystemRules', default: DEFAULT_LSYSTEM.rules, optional: true, algorithm: 'lsystem', description: "L-system production rules, one \"A(params) : condition -> successor : probability\" per line (parameters, condition and probability optional)" },
+    iterations: { type: 'integer', min: 0, max: 8, hardMin: 0, hardMax: 20, default: DEFAULT_LSYSTEM.iterations, optional: true, algorithm: 'lsystem', description: "L-system rewriting steps" },
+    pointCount: { type: 'integer', min: 50, max: 3000, hardMin: 1, hardMax: 50000, default: DEFAULT_COLONIZATION.pointCount, optional: true, algorithm: 'spaceColonization', description: "Attraction points scattered through the crown" },
+    influenceRadius: { type: 'number', min: 1, max: 20, positive: true, hardMax: 1000, default: DEFAULT_COLONIZATION.influenceRadius, optional: true, algorithm: 'spaceColonization', description: "Points attract branch nodes closer than this" },
+    killDistance: { type: 'number', min: 0.2, max: 10, positive: true, hardMax: 1000, default: DEFAULT_COLONIZATION.killDistance, optional: true, algorithm: 'spaceColonization', description: "Points closer than this to a branch are used up" },
+    stepSize: { type: 'number', min: 0.1, max: 3, positive: true, hardMax: 100, default: DEFAULT_COLONIZATION.stepSize, optional: true, algorithm: 'spaceColonization', description: "Length of each growth step (branch segment)" },
+    crownRadius: { type: 'number', min: 1, max: 30, positive: true, hardMax: 1000, default: DEFAULT_COLONIZATION.crownRadius, optional: true, algorithm: 'spaceColonization', description: "Horizontal radius of the crown volume" },
+    crownHeight: { type: 'number', min: 1, max: 40, positive: true, hardMax: 1000, default: DEFAULT_COLONIZATION.crownHeight, optional: true, algorithm: 'spaceColonization', description: "Height of the crown volume (it sits on the trunk, initialLength)" },
+    weberPenn: { type: 'weberPenn', default: DEFAULT_WEBER_PENN, optional: true, algorithm: 'weberPenn', description: "Weber-Penn model parameters (shape, scale, levels, per-level length/curve/splits/downAngle/rotate/branches, ...)" }
+};
+
+/** File format markers (see tree_formats.js), allowed in params passed straight from a saved file. */
+const FORMAT_MARKERS = ['format', 'version'];
+
+/** Material params besides the colors (see tree_materials.js). */
+export const MATERIAL_SURFACE_FIELDS = ['branchRoughness', 'branchMetalness', 'leafRoughness', 'leafMetalness'];
+
+/**
+ * Checks a single value against its schema entry.
+ * @param {object} schema - Entry of TREE_PARAM_SCHEMA.
+ * @param {*} value - The value to check.
+ * @returns {{error?: string, warning?: string}} What is wrong with the value, if anything.
+ */
+function checkValue(schema, value) {
+    if (schema.type === 'enum') {
+        if (!schema.values.includes(value)) {
+            return { error: `must be one of ${schema.values.join(', ')} (got ${JSON.stringify(value)})` };
+        }
+        return {};
+    }
+    if (schema.type === 'lsystemAxiom' || schema.type === 'lsystemRules') {
+        const grammarErrors = schema.type === 'lsystemAxiom' ? checkLSystemAxiom(value) : parseLSystemRules(value).errors;
+        if (grammarErrors.length > 0) {
+            const more = grammarErrors.length > 1 ? ` (and ${grammarErrors.length - 1} more)` : '';
+            return { error: `has a syntax error: ${formatLSystemError(grammarErrors[0])}${more}` };
+        }
+        return {};
+    }
+    if (schema.type === 'weberPenn') {
+        const { errors, warnings } = checkWeberPenn(value);
+        const more = (issues) => issues.length > 1 ? ` (and ${issues.length - 1} more)` : '';
+        return {
+            error: errors.length > 0 ? `has an invalid parameter: ${errors[0]}${more(errors)}` : undefined,
+            warning: warnings.length > 0 ? `${warnings[0]}${more(warnings)}` : undefined
+        };
+    }
+    if (schema.type === 'species') {
+        if (!Object.hasOwn(TREE_SPECIES, value)) {
+            return { error: `must be one of ${Object.keys(TREE_SPECIES).join(', ')} (got ${JSON.stringify(value)})` };
+        }
+        return {};
+    }
+    if (schema.type === 'color') {
+        if (typeof value !== 'string' || !/^[0-9a-f]{6}$/i.test(value)) {
+            return { error: `must be a 6-digit hex color string (got ${JSON.stringify(value)})` };
+        }
+        return {};
+    }
+    if (schema.type === 'seed') {
+        if (typeof value === 'string') return {};
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            return { error: `must be a number or text (got ${JSON.stringify(value)})` };
+        }
+        if (!Number.isInteger(value) || value < 0 || value > 0xFFFFFFFF) {
+            return { warning: `${value} is not an unsigned 32-bit integer and will be normalized` };
+        }
+        return {};
+    }
+
+    // 'number' and 'integer'
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { error: `must be a number (got ${JSON.stringify(value)})` };
+    }
+    if (schema.type === 'integer' && !Number.isInteger(value)) {
+        return { error: `must be a whole number (got ${value})` };
+    }
+    if (schema.positive && value <= 0) {
+        return { error: `must be greater than 0 (got ${value})` };
+    }
+    if (schema.hardMin !== undefined && value < schema.hardMin) {
+        return { error: `must be at least ${schema.hardMin} (got ${value})` };
+    }
+    if (schema.hardMax !== undefined && value > schema.hardMax) {
+        return { error: `must be at most ${schema.hardMax} (got ${value})` };
+    }
+    if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+        return { warning: `${value} is outside the editor range (${schema.min} to ${schema.max})` };
+    }
+    return {};
+}
+
+/**
+ * Validates tree generation parameters against TREE_PARAM_SCHEMA.
+ * Nothing is clamped: out-of-range values that still generate are only reported as warnings. Invalid values of
+ * params the algorithm doesn't use are warnings too, and replaced by the defaults.
+ * A `species` name is expanded first (see tree_species.js), so its preset fills in the params that are not given.
+ * @param {object} params - Parameters to validate (e.g. a parsed tree_params.json).
+ * @param {object} [options] - Validation options.
+ * @param {boolean} [options.requireAll=false] - Warn about missing parameters (for files saved by the editor,
+ *                          which contain all of them). Programmatic configs may rely on the defaults.
+ * @returns {{valid: boolean, errors: {field: string|null, message: string}[], warnings: {field: string|null, message: string}[],
+ *          params: object|null}} Field-level issues, and (when valid) a copy of the params with defaults filled in.
+ */
+export function validateTreeParams(params, options = {}) {
+    const errors = [];
+    const warnings = [];
+
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push({ field: null, message: "Tree parameters must be a JSON object." });
+        return { valid: false, errors, warnings, params: null };
+    }
+    if (Array.isArray(params.branchMatrices) || Array.isArray(params.leafMatrices)) {
+        errors.push({ field: null, message: "This is a tree data file (saved matrices), not tree parameters. Open it with the tree loader (tree_loader.html) instead." });
+        return { valid: false, errors, warnings, params: null };
+    }
+    params = resolveSpecies(params);
+    const knownFields = Object.keys(params).filter(field => field in TREE_PARAM_SCHEMA);
+    if (knownFields.length === 0 && (Object.keys(params).length > 0 || options.requireAll)) {
+        errors.push({ field: null, message: "No tree parameters found. Is this a tree_params.json file?" });
+        return { valid: false, errors, warnings, params: null };
+    }
+
+    const filled = { ...params };
+    const algorithm = params.algorithm ?? TREE_PARAM_SCHEMA.algorithm.default;
+    for (const [field, schema] of Object.entries(TREE_PARAM_SCHEMA)) {
+        const value = params[field];
+        const unused = schema.algorithm !== undefined && ![].concat(schema.algorithm).includes(algorithm);
+        if (value === undefined || value === null) {
+            if (schema.default !== undefined) {
+                filled[field] = schema.default;
+            }
+            if (options.requireAll && !schema.optional && !unused) {
+                const fallback = schema.default !== undefined ? `using the default ${schema.default}` : schema.defaultNote;
+                warnings.push({ field, message: `${field} is missing (${fallback}).` });
+            }
+            continue;
+        }
+        const { error, warning } = checkValue(schema, value);
+        if (error && unused) {
+            // Keep the params usable if the algorithm is switched later: the bad value is dropped for the default
+            if (schema.default !== undefined) {
+                filled[field] = schema.default;
+            } else {
+                delete filled[field];
+            }
+            warnings.push({ field, message: `${field} ${error} (not used by the ${algorithm} algorithm, the default is kept).` });
+        } else if (error) {
+            errors.push({ field, message: `${field} ${error}.` });
+        }
+        if (warning) warnings.push({ field, message: `${field}: ${warning}.` });
+    }
+    // Space colonization settings that still grow, but poorly (see tree_colonization.js)
+    if (algorithm === 'spaceColonization' && errors.length === 0) {
+        if (filled.killDistance >= filled.influenceRadius) {
+            warnings.push({ field: 'killDistance', message: `killDistance (${filled.killDistance}) is not smaller than influenceRadius (${filled.influenceRadius}): points are used up before they attract any branch.` });
+        }
+        if (filled.stepSize > filled.killDistance) {
+            warnings.push({ field: 'stepSize', message: `stepSize (${filled.stepSize}) is larger than killDistance (${filled.killDistance}): branches can overshoot their points and circle around them.` });
+        }
+    }
+    for (const field of Object.keys(params)) {
+        if (!(field in TREE_PARAM_SCHEMA) && !FORMAT_MARKERS.includes(field)) {
+            warnings.push({ field, message: `Unknown parameter "${field}" is ignored.` });
+        }
+    }
+
+    const valid = errors.length === 0;
+    return { valid, errors, warnings, params: valid ? filled : null };
+}
+
+/**
+ * Validates saved tree data (tree_data.json, as saved by the editor).
+ * @param {object} data - Parsed tree data.
+ * @returns {{valid: boolean, errors: {field: string|null, message: string}[], warnings: {field: string|null, message: string}[]}}
+ *          Field-level issues.
+ */
+export function validateTreeData(data) {
+    const errors = [];
+    const warnings = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push({ field: null, message: "Tree data must be a JSON object." });
+        return { valid: false, errors, warnings };
+    }
+    if (!('branchMatrices' in data) && !('leafMatrices' in data) && Object.keys(data).some(field => field in TREE_PARAM_SCHEMA)) {
+        errors.push({ field: null, message: "This is a tree parameters file, not tree data. Open it with the params loader (param_loader.html) instead." });
+        return { valid: false, errors, warnings };
+    }
+
+    for (const field of ['branchMatrices', 'leafMatrices']) {
+        const matrices = data[field];
+        if (!Array.isArray(matrices)) {
+            errors.push({ field, message: `${field} is missing or not an array.` });
+            continue;
+        }
+        const badIndex = matrices.findIndex(matrix => !Array.isArray(matrix) || matrix.length !== 16
+            || !matrix.every(value => typeof value === 'number' && Number.isFinite(value)));
+        if (badIndex !== -1) {
+            errors.push({ field, message: `${field}[${badIndex}] is not a matrix (an array of 16 numbers).` });
+        }
+    }
+    // Optional per-instance colors (see tree_colors.js), one hex color per matrix
+    for (const [field, matricesField] of [['branchColors', 'branchMatrices'], ['leafColors', 'leafMatrices']]) {
+        const colors = data[field];
+        if (colors === undefined) continue;
+        if (!Array.isArray(colors) || colors.length !== data[matricesField]?.length) {
+            errors.push({ field, message: `${field} must be an array with one color per entry of ${matricesField}.` });
+            continue;
+        }
+        const badIndex = colors.findIndex(value => checkValue(TREE_PARAM_SCHEMA.branchColor, value).error);
+        if (badIndex !== -1) {
+            errors.push({ field, message: `${field}[${badIndex}] is not a 6-digit hex color string.` });
+        }
+    }
+    if (('branchColors' in data) !== ('leafColors' in data)) {
+        warnings.push({ field: null, message: "branchColors and leafColors are only used together, the flat config colors are shown." });
+    }
+    // Optional stats saved with the tree (see tree_stats.js), only informational
+    if (data.metadata !== undefined && (!data.metadata || typeof data.metadata !== 'object' || Array.isArray(data.metadata))) {
+        warnings.push({ field: 'metadata', message: "metadata is not an object and is ignored." });
+    }
+    if (Array.isArray(data.branchMatrices) && data.branchMatrices.length === 0) {
+        warnings.push({ field: 'branchMatrices', message: "The file contains no branches." });
+    }
+
+    if (!data.config || typeof data.config !== 'object') {
+        warnings.push({ field: 'config', message: "config is missing, using default colors, taper and leaf size." });
+    } else {
+        for (const field of ['taperFactor', 'radialSegments', 'leafSize', 'branchColor', 'leafColor', ...MATERIAL_SURFACE_FIELDS]) {
+            const value = data.config[field];
+            if (value === undefined) {
+                // Older files don't have these, the editor's defaults apply
+                if (field === 'radialSegments' || MATERIAL_SURFACE_FIELDS.includes(field)) continue;
+                warnings.push({ field: `config.${field}`, message: `config.${field} is missing (using the default).` });
+                continue;
+            }
+            const { error, warning } = checkValue(TREE_PARAM_SCHEMA[field], value);
+            if (error) errors.push({ field: `config.${field}`, message: `config.${field} ${error}.` });
+            if (warning) warnings.push({ field: `config.${field}`, message: `config.${field}: ${warning}.` });
+        }
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Formats validation issues as one message per line (for alerts and error messages).
+ * @param {{message: string}[]} issues - Errors or warnings from validateTreeParams/validateTreeData.
+ * @returns {string} The messages, one per line.
+ */
+export function formatValidationIssues(issues) {
+    return issues.map(issue => `- ${issue.message}`).join('\n');
+}
@@ -0,0 +1,80 @@
+/**
+ * Built-in species presets.
+ * Each preset sets the params that make the species (shape, leaf size, colors and some color variation); the
+ * params it leaves out use their defaults (see tree_schema.js). Used by the editor's species gallery and by name
+ * in generateTreeMatrices: `generateTreeMatrices({ species: 'pine', seed: 42 })`.
+ * Params given next to `species` override the preset's.
+ */
+
+export const TREE_SPECIES = {
+    oak: {
+        label: "Oak",
+        description: "Broad, spreading crown on a thick trunk.",
+        params: {
+            maxDepth: 6, initialLength: 6, initialRadius: 0.9, lengthFactor: 0.75, branchAngle: 42,
+            radiusFactor: 0.62, minRadius: 0.04, numBranches: 3, angleVariance: 15, lengthVariance: 20,
+            taperFactor: 0.7, leafSize: 0.6, droop: 0.05, apicalDominance: 0,
+            branchColor: '4a3728', leafColor: '2e6b1f', lightnessVariance: 0.06, colorGradient: 'depth', gradientStrength: 0.15
+        }
+    },
+    pine: {
+        label: "Pine",
+        description: "Conical conifer: a straight leader with short, level side branches.",
+        params: {
+            maxDepth: 7, initialLength: 3, initialRadius: 0.6, lengthFactor: 0.55, branchAngle: 80,
+            radiusFactor: 0.7, minRadius: 0.03, numBranches: 4, angleVariance: 8, lengthVariance: 15,
+            taperFactor: 0.8, leafSize: 0.35, droop: 0.1, apicalDominance: 0.85,
+            branchColor: '3b2a1e', leafColor: '1f4d2b'
+        }
+    },
+    birch: {
+        label: "Birch",
+        description: "Slender white trunk with a light, airy crown.",
+        params: {
+            maxDepth: 7, initialLength: 7, initialRadius: 0.35, lengthFactor: 0.72, branchAngle: 28,
+            radiusFactor: 0.65, minRadius: 0.02, numBranches: 2, angleVariance: 12, lengthVariance: 25,
+            taperFactor: 0.75, leafSize: 0.35, droop: 0.15, apicalDominance: 0.4,
+            branchColor: 'd9d4c7', leafColor: '6b9e3a', hueVariance: 6, lightnessVariance: 0.08
+        }
+    },
+    willow: {
+        label: "Weeping Willow",
+        description: "Wide crown of long branches weeping down to the ground.",
+        params: {
+            maxDepth: 7, initialLength: 10, initialRadius: 0.8, lengthFactor: 0.68, branchAngle: 40,
+            radiusFactor: 0.6, minRadius: 0.02, numBranches: 3, angleVariance: 10, lengthVariance: 15,
+            taperFactor: 0.7, leafSize: 0.3, droop: 0.35, apicalDominance: 0,
+            branchColor: '5a4a32', leafColor: '8fae4c'
+        }
+    },
+    maple: {
+        label: "Maple (Autumn)",
+        description: "Rounded crown with large orange leaves.",
+        params: {
+            maxDepth: 6, initialLength: 6, initialRadius: 0.7, lengthFactor: 0.72, branchAngle: 35,
+            radiusFactor: 0.62, minRadius: 0.04, numBranches: 3, angleVariance: 12, lengthVariance: 15,
+            taperFactor: 0.7, leafSize: 0.75, droop: 0, apicalDominance: 0.2,
+            branchColor: '4d3a2a', leafColor: 'c8551c', hueVariance: 18, saturationVariance: 0.1, lightnessVariance: 0.08
+        }
+    },
+    poplar: {
+        label: "Lombardy Poplar",
+        description: "Tall, narrow columnar crown.",
+        params: {
+            maxDepth: 7, initialLength: 5, initialRadius: 0.5, lengthFactor: 0.75, branchAngle: 10,
+            radiusFactor: 0.65, minRadius: 0.02, numBranches: 3, angleVariance: 5, lengthVariance: 15,
+            taperFactor: 0.75, leafSize: 0.3, droop: 0, apicalDominance: 0.7,
+            branchColor: '5b5045', leafColor: '3f7a35'
+        }
+    }
+};
+
+/**
+ * Expands `config.species` into the preset's params (config values take priority).
+ * @param {object} config - Tree params, possibly with a `species` name.
+ * @returns {object} The params to generate with (the config itself if it has no known species).
+ */
+export function resolveSpecies(config) {
+    const species = config.species && TREE_SPECIES[config.species];
+    return species ? { ...species.params, ...config } : config;
+}
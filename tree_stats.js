@@ -0,0 +1,95 @@
+/**
+ * What a generated tree costs to draw: instance and triangle counts, draw calls, generation time, size,
+ * and whether the instance cap was hit. Shown by the stats overlay (stats_overlay.js) in the editor and
+ * both loaders, and saved as the `metadata` block of tree_data.json.
+ * Works on the Matrix4, 'float32' and saved (arrays of 16 numbers) forms of the instance matrices.
+ */
+import { getTrianglesPerBranch, TRIANGLES_PER_LEAF } from './tree_generator.js';
+
+/**
+ * Returns the 16 matrix elements of one instance.
+ * @param {Float32Array|THREE.Matrix4[]|number[][]} matrices - Instance matrices.
+ * @param {number} index - Instance index.
+ * @returns {ArrayLike<number>} Column-major matrix elements.
+ */
+function getElements(matrices, index) {
+    if (!Array.isArray(matrices)) return matrices.subarray(index * 16, index * 16 + 16);
+    return matrices[index].elements ?? matrices[index];
+}
+
+/**
+ * Measures the extent of a tree from its instances: both ends of every branch (the unit cylinder
+ * runs from -0.5 to 0.5 along its local Y axis) and the center of every leaf.
+ * @param {Float32Array|THREE.Matrix4[]|number[][]} branchMatrices - Branch instance matrices.
+ * @param {number} branchCount - Number of branches.
+ * @param {Float32Array|THREE.Matrix4[]|number[][]} leafMatrices - Leaf instance matrices.
+ * @param {number} leafCount - Number of leaves.
+ * @returns {{height: number, crownWidth: number}} Height (lowest to highest point) and crown width
+ *          (widest horizontal extent, along X or Z).
+ */
+function measureTree(branchMatrices, branchCount, leafMatrices, leafCount) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    const expand = (x, y, z) => {
+        min[0] = Math.min(min[0], x); max[0] = Math.max(max[0], x);
+        min[1] = Math.min(min[1], y); max[1] = Math.max(max[1], y);
+        min[2] = Math.min(min[2], z); max[2] = Math.max(max[2], z);
+    };
+
+    for (let i = 0; i < branchCount; i++) {
+        const e = getElements(branchMatrices, i);
+        expand(e[12] - e[4] / 2, e[13] - e[5] / 2, e[14] - e[6] / 2);
+        expand(e[12] + e[4] / 2, e[13] + e[5] / 2, e[14] + e[6] / 2);
+    }
+    for (let i = 0; i < leafCount; i++) {
+        const e = getElements(leafMatrices, i);
+        expand(e[12], e[13], e[14]);
+    }
+
+    if (branchCount + leafCount === 0) return { height: 0, crownWidth: 0 };
+    return { height: max[1] - min[1], crownWidth: Math.max(max[0] - min[0], max[2] - min[2]) };
+}
+
+/**
+ * Computes the stats of a generated (or loaded) tree.
+ * @param {object} tree - A generateTreeMatrices() result (either output), or loaded tree data as
+ *                        { branchMatrices, leafMatrices } (arrays of 16 numbers).
+ * @param {object} [config={}] - Tree params (radialSegments sets the triangles per branch).
+ * @returns {{branchCount: number, leafCount: number, triangleCount: number, drawCalls: number, height: number,
+ *          crownWidth: number, generationMs: number|null, truncated: boolean|null}} The stats. generationMs and
+ *          truncated are null when unknown (loaded data without metadata).
+ */
+export function computeTreeStats(tree, config = {}) {
+    const branchMatrices = tree.branchArray ?? tree.branchMatrices;
+    const leafMatrices = tree.leafArray ?? tree.leafMatrices;
+    const branchCount = tree.branchCount ?? branchMatrices.length;
+    const leafCount = tree.leafCount ?? leafMatrices.length;
+    return {
+        branchCount,
+        leafCount,
+        triangleCount: branchCount * getTrianglesPerBranch(config) + leafCount * TRIANGLES_PER_LEAF,
+        // One instanced draw per non-empty mesh and render pass (shadow maps add another pass)
+        drawCalls: (branchCount > 0 ? 1 : 0) + (leafCount > 0 ? 1 : 0),
+        ...measureTree(branchMatrices, branchCount, leafMatrices, leafCount),
+        generationMs: tree.generationMs ?? null,
+        truncated: tree.truncated ?? null
+    };
+}
+
+/**
+ * Turns stats into the `metadata` block of tree_data.json (sizes rounded to mm, time to 0.1 ms).
+ * @param {object} stats - computeTreeStats() result.
+ * @returns {object} The metadata block.
+ */
+export function createTreeMetadata(stats) {
+    return {
+        branchCount: stats.branchCount,
+        leafCount: stats.leafCount,
+        triangleCount: stats.triangleCount,
+        drawCalls: stats.drawCalls,
+        height: Math.round(stats.height * 1000) / 1000,
+        crownWidth: Math.round(stats.crownWidth * 1000) / 1000,
+        generationMs: stats.generationMs === null ? null : Math.round(stats.generationMs * 10) / 10,
+        truncated: stats.truncated
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Offscreen thumbnails of generated trees (e.g. the editor's species gallery).
+ * One renderer draws any number of thumbnails on its own small canvas, then is disposed.
+ */
+import * as THREE from 'three';
+import { generateTreeMatrices } from './tree_generator.js';
+import { resolveSpecies } from './tree_species.js';
+import { createTreeMaterials, applyTreeMaterials } from './tree_materials.js';
+import { computeInstanceColors, hasColorVariation } from './tree_colors.js';
+
+/**
+ * Creates a thumbnail renderer.
+ * @param {number} [width=96] - Thumbnail width in pixels.
+ * @param {number} [height=width] - Thumbnail height in pixels.
+ * @returns {{render: function(object): string, dispose: function(): void}}
+ *          render(params) generates the tree and returns a JPEG data URL of it, framed to fit;
+ *          dispose() releases the WebGL context.
+ */
+export function createTreeThumbnailRenderer(width = 96, height = width) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true });
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false); // Never added to the page
+
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color(0x85D4FF); // Same sky as the editor
+    scene.add(new THREE.AmbientLight(0xcccccc, 1.2));
+    const directionalLight = new THREE.DirectionalLight(0xffffff, 2.6);
+    directionalLight.position.set(30, 40, 20);
+    scene.add(directionalLight);
+
+    const camera = new THREE.PerspectiveCamera(40, width / height, 0.1, 1000);
+    const materials = createTreeMaterials();
+    const { branchMaterial, leafMaterial } = materials;
+    const leafGeometry = new THREE.PlaneGeometry(1, 1);
+    const bounds = new THREE.Box3();
+    const point = new THREE.Vector3();
+    const sphere = new THREE.Sphere();
+
+    /**
+     * Grows the bounds by the positions of the instances in a matrix buffer.
+     * @param {Float32Array} array - Instance matrices, 16 floats each.
+     * @param {number} count - Number of instances.
+     */
+    function expandBounds(array, count) {
+        for (let i = 0; i < count; i++) {
+            bounds.expandByPoint(point.fromArray(array, i * 16 + 12));
+        }
+    }
+
+    function render(params) {
+        params = resolveSpecies(params);
+        const result = generateTreeMatrices(params, { output: 'float32', quiet: true });
+        const instanceColors = hasColorVariation(params);
+        applyTreeMaterials(materials, params, { instanceColors });
+        const colors = instanceColors
+            ? computeInstanceColors(params, result.seed, { matrices: result.branchArray, count: result.branchCount },
+                { matrices: result.leafArray, count: result.leafCount })
+            : null;
+
+        const taper = params.taperFactor ?? 0.68;
+        const branchGeometry = new THREE.CylinderGeometry(0.5 * taper, 0.5, 1, params.radialSegments ?? 8);
+        const meshes = [
+            [branchGeometry, branchMaterial, result.branchArray, result.branchCount, colors?.branchColors],
+            [leafGeometry, leafMaterial, result.leafArray, result.leafCount, colors?.leafColors]
+        ].map(([geometry, material, array, count, instanceColors]) => {
+            const mesh = new THREE.InstancedMesh(geometry, material, 0);
+            mesh.instanceMatrix = new THREE.InstancedBufferAttribute(array, 16);
+            mesh.count = count;
+            if (instanceColors) {
+                mesh.instanceColor = new THREE.InstancedBufferAttribute(instanceColors, 3);
+            }
+            scene.add(mesh);
+            return mesh;
+        });
+
+        // Frame the whole tree: fit its bounding sphere into the vertical field of view
+        bounds.makeEmpty();
+        expandBounds(result.branchArray, result.branchCount);
+        expandBounds(result.leafArray, result.leafCount);
+        bounds.getBoundingSphere(sphere);
+        const radius = Math.max(sphere.radius, 1);
+        const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+        camera.position.set(0.5, 0.3, 1).normalize().multiplyScalar(distance).add(sphere.center);
+        camera.near = distance / 100;
+        camera.far = distance + radius * 2;
+        camera.updateProjectionMatrix();
+        camera.lookAt(sphere.center);
+
+        renderer.render(scene, camera);
+        const dataUrl = renderer.domElement.toDataURL('image/jpeg', 0.8); // The drawing buffer is only valid right after rendering
+
+        for (const mesh of meshes) {
+            scene.remove(mesh);
+            mesh.dispose(); // Frees the instance buffers
+        }
+        branchGeometry.dispose();
+        return dataUrl;
+    }
+
+    function dispose() {
+        branchMaterial.dispose();
+        leafMaterial.dispose();
+        leafGeometry.dispose();
+        renderer.dispose();
+        renderer.forceContextLoss();
+    }
+
+    return { render, dispose };
+}
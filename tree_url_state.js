@@ -0,0 +1,61 @@
+/**
+ * Tree params in the URL hash, so a link opens the exact same tree.
+ * The hash is a readable query string, e.g. #v=2&maxDepth=6&lengthFactor=0.72&seed=123
+ * (`v` is the tree_params format version, see tree_formats.js). Object params (the weberPenn block) are JSON.
+ */
+import { TREE_PARAMS_FORMAT, TREE_PARAMS_VERSION } from './tree_formats.js';
+import { TREE_PARAM_SCHEMA } from './tree_schema.js';
+
+/**
+ * Encodes tree params as a URL hash.
+ * @param {object} params - Tree generation parameters (plain values, e.g. from getTreeParams()).
+ * @returns {string} The hash, starting with '#'.
+ */
+export function encodeTreeParamsHash(params) {
+    const query = new URLSearchParams({ v: TREE_PARAMS_VERSION });
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        if (typeof value === 'object') {
+            if (TREE_PARAM_SCHEMA[key]?.type === 'weberPenn') query.set(key, JSON.stringify(value));
+            continue;
+        }
+        query.set(key, String(value));
+    }
+    return `#${query}`;
+}
+
+/**
+ * Decodes tree params from a URL hash (see encodeTreeParamsHash).
+ * Values are converted using TREE_PARAM_SCHEMA types; the result still needs migrating and validating
+ * (migrateTreeParams, validateTreeParams) like a loaded file.
+ * @param {string} hash - location.hash (with or without the leading '#').
+ * @returns {object|null} Params with format markers (like a parsed tree_params.json), or null if the hash has none.
+ */
+export function decodeTreeParamsHash(hash) {
+    const query = new URLSearchParams(hash.replace(/^#/, ''));
+    if (![...query.keys()].some(key => key in TREE_PARAM_SCHEMA)) {
+        return null;
+    }
+
+    const version = Number(query.get('v') ?? 1);
+    const params = { format: TREE_PARAMS_FORMAT, version: Number.isInteger(version) ? version : query.get('v') };
+    for (const [key, text] of query) {
+        if (key === 'v') continue;
+        const type = TREE_PARAM_SCHEMA[key]?.type;
+        if (type === 'number' || type === 'integer') {
+            // Keep unparsable text as is, so validation reports it
+            params[key] = text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : text;
+        } else if (type === 'seed') {
+            params[key] = /^\d+$/.test(text) ? Number(text) : text;
+        } else if (type === 'weberPenn') {
+            try {
+                params[key] = JSON.parse(text);
+            } catch {
+                params[key] = text; // Validation reports it
+            }
+        } else {
+            params[key] = text;
+        }
+    }
+    return params;
+}
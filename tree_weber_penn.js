@@ -0,0 +1,374 @@
+/**
+ * The Weber & Penn parametric tree model ("Creation and Rendering of Realistic Trees", SIGGRAPH 1995), the
+ * format most published species definitions use (e.g. Arbaro and Blender's Sapling). tree_generator.js runs it
+ * for algorithm 'weberPenn', with the parameters in the config's `weberPenn` block, and returns the usual
+ * branch/leaf matrices.
+ *
+ * Stems are grown level by level: the trunk (level 0), its branches (level 1), theirs (level 2), ... up to
+ * `levels`; the level after the last one holds the leaves. Global values apply to the whole tree, per-level
+ * values are arrays with one entry per level (0 = trunk, 3 = the deepest branches or the leaves):
+ *   shape, baseSize, scale, scaleV, ratio, ratioPower, baseSplits, attractionUp, leaves, leafScale, leafScaleX
+ *   length, lengthV, taper, curveRes, curve, curveBack, curveV, segSplits, splitAngle, splitAngleV,
+ *   downAngle, downAngleV, rotate, rotateV, branches
+ * `branches[0]` is the number of trunks. Angles are in degrees. Not supported (ignored with a warning):
+ * lobes, flare, pruning, zScale and the leaf shapes.
+ */
+import * as THREE from './three.module.js';
+
+/** Number of entries in the per-level arrays. */
+export const WEBER_PENN_LEVELS = 4;
+
+/** Parameters used when a config doesn't give them: the paper's Quaking Aspen. */
+export const DEFAULT_WEBER_PENN = Object.freeze({
+    shape: 7,
+    baseSize: 0.4,
+    scale: 13,
+    scaleV: 3,
+    levels: 3,
+    ratio: 0.015,
+    ratioPower: 1.2,
+    baseSplits: 0,
+    attractionUp: 0.5,
+    leaves: 25,
+    leafScale: 0.17,
+    leafScaleX: 1,
+    length: [1, 0.3, 0.6, 0],
+    lengthV: [0, 0, 0, 0],
+    taper: [1, 1, 1, 1],
+    curveRes: [3, 5, 3, 1],
+    curve: [0, -40, -40, 0],
+    curveBack: [0, 0, 0, 0],
+    curveV: [20, 50, 75, 0],
+    segSplits: [0, 0, 0, 0],
+    splitAngle: [0, 0, 0, 0],
+    splitAngleV: [0, 0, 0, 0],
+    downAngle: [0, 60, 45, 45],
+    downAngleV: [0, -50, 10, 10],
+    rotate: [0, 140, 140, 77],
+    rotateV: [0, 0, 0, 0],
+    branches: [1, 50, 30, 10]
+});
+
+/**
+ * Value checks of the parameters: allowed range and whether only whole numbers are allowed.
+ * Per-level fields (arrays) apply the check to every entry.
+ */
+const FIELD_CHECKS = {
+    shape: { integer: true, min: 0, max: 7 },
+    baseSize: { min: 0, max: 1 },
+    scale: { min: 0, exclusiveMin: true },
+    scaleV: { min: 0 },
+    levels: { integer: true, min: 1, max: WEBER_PENN_LEVELS },
+    ratio: { min: 0, exclusiveMin: true },
+    ratioPower: { min: 0 },
+    baseSplits: { integer: true, min: 0, max: 10 },
+    attractionUp: {},
+    leaves: { integer: true, min: 0, max: 1000 },
+    leafScale: { min: 0, exclusiveMin: true },
+    leafScaleX: { min: 0, exclusiveMin: true },
+    length: { perLevel: true, min: 0 },
+    lengthV: { perLevel: true, min: 0 },
+    taper: { perLevel: true, min: 0, max: 3 },
+    curveRes: { perLevel: true, integer: true, min: 1, max: 100 },
+    curve: { perLevel: true },
+    curveBack: { perLevel: true },
+    curveV: { perLevel: true },
+    segSplits: { perLevel: true, min: 0, max: 10 },
+    splitAngle: { perLevel: true },
+    splitAngleV: { perLevel: true },
+    downAngle: { perLevel: true },
+    downAngleV: { perLevel: true },
+    rotate: { perLevel: true },
+    rotateV: { perLevel: true },
+    branches: { perLevel: true, integer: true, min: 0, max: 1000 }
+};
+
+/** Fields of the model this implementation doesn't use. */
+const UNSUPPORTED_FIELDS = ['lobes', 'lobeDepth', 'flare', 'pruneRatio', 'pruneWidth', 'pruneWidthPeak', 'prunePowerLow',
+    'prunePowerHigh', 'zScale', 'zScaleV', 'leafShape', 'leafBend', 'leafQuality', 'scale0', 'scaleV0'];
+
+/**
+ * Checks one value against its field check.
+ * @param {string} name - Field name (with the level index for per-level values), for the message.
+ * @param {object} check - Entry of FIELD_CHECKS.
+ * @param {*} value - The value.
+ * @returns {string|null} What is wrong, or null.
+ */
+function checkNumber(name, check, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${name} must be a number (got ${JSON.stringify(value)})`;
+    }
+    if (check.integer && !Number.isInteger(value)) {
+        return `${name} must be a whole number (got ${value})`;
+    }
+    if (check.min !== undefined && (check.exclusiveMin ? value <= check.min : value < check.min)) {
+        return `${name} must be ${check.exclusiveMin ? 'greater than' : 'at least'} ${check.min} (got ${value})`;
+    }
+    if (check.max !== undefined && value > check.max) {
+        return `${name} must be at most ${check.max} (got ${value})`;
+    }
+    return null;
+}
+
+/**
+ * Checks a `weberPenn` parameter block. Missing fields are fine (the defaults fill them in).
+ * @param {*} value - The block.
+ * @returns {{errors: string[], warnings: string[]}} What is wrong (errors stop generation) and what is ignored.
+ */
+export function checkWeberPenn(value) {
+    const errors = [];
+    const warnings = [];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`must be an object of Weber-Penn parameters (got ${JSON.stringify(value)})`);
+        return { errors, warnings };
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+        const check = FIELD_CHECKS[field];
+        if (!check) {
+            warnings.push(UNSUPPORTED_FIELDS.includes(field)
+                ? `${field} is not supported and is ignored`
+                : `unknown parameter "${field}" is ignored`);
+            continue;
+        }
+        if (!check.perLevel) {
+            const error = checkNumber(field, check, fieldValue);
+            if (error) errors.push(error);
+            continue;
+        }
+        if (!Array.isArray(fieldValue) || fieldValue.length !== WEBER_PENN_LEVELS) {
+            errors.push(`${field} must be an array of ${WEBER_PENN_LEVELS} numbers, one per level (got ${JSON.stringify(fieldValue)})`);
+            continue;
+        }
+        fieldValue.forEach((entry, level) => {
+            const error = checkNumber(`${field}[${level}]`, check, entry);
+            if (error) errors.push(error);
+        });
+    }
+    return { errors, warnings };
+}
+
+/**
+ * Fills in the missing fields of a `weberPenn` block with the defaults.
+ * @param {object} [value] - The block (checked with checkWeberPenn).
+ * @returns {object} Complete parameters.
+ */
+export function resolveWeberPenn(value) {
+    return { ...DEFAULT_WEBER_PENN, ...value };
+}
+
+/**
+ * Formats a `weberPenn` block as JSON with one field per line (per-level arrays on a single line).
+ * @param {object} value - The block.
+ * @returns {string} JSON text.
+ */
+export function formatWeberPenn(value) {
+    const lines = Object.entries(value).map(([field, fieldValue]) => `    ${JSON.stringify(field)}: ${JSON.stringify(fieldValue)}`);
+    return `{\n${lines.join(',\n')}\n}`;
+}
+
+/**
+ * The model's crown shapes: relative length of a branch at a relative position on its parent.
+ * @param {number} shape - 0 conical, 1 spherical, 2 hemispherical, 3 cylindrical, 4 tapered cylindrical,
+ *                         5 flame, 6 inverse conical, 7 tend flame.
+ * @param {number} ratio - Position, 1 at the base of the crown to 0 at the top.
+ * @returns {number} Length ratio.
+ */
+function getShapeRatio(shape, ratio) {
+    switch (shape) {
+        case 0: return 0.2 + 0.8 * ratio;
+        case 1: return 0.2 + 0.8 * Math.sin(Math.PI * ratio);
+        case 2: return 0.2 + 0.8 * Math.sin(0.5 * Math.PI * ratio);
+        case 3: return 1;
+        case 4: return 0.5 + 0.5 * ratio;
+        case 5: return ratio <= 0.7 ? ratio / 0.7 : (1 - ratio) / 0.3;
+        case 6: return 1 - 0.8 * ratio;
+        default: return ratio <= 0.7 ? 0.5 + 0.5 * ratio / 0.7 : 0.5 + 0.5 * (1 - ratio) / 0.3;
+    }
+}
+
+const AXIS_X = new THREE.Vector3(1, 0, 0);
+const AXIS_Y = new THREE.Vector3(0, 1, 0);
+const UP = new THREE.Vector3(0, 1, 0);
+const DOWN = new THREE.Vector3(0, -1, 0);
+const scratch = {
+    rotation: new THREE.Matrix4(),
+    translation: new THREE.Matrix4(),
+    direction: new THREE.Vector3(),
+    axis: new THREE.Vector3(),
+    position: new THREE.Vector3(),
+    quaternion: new THREE.Quaternion()
+};
+
+/**
+ * Turns a stem's matrix towards a world direction about its own position (attractionUp).
+ * @param {THREE.Matrix4} matrix - Stem matrix (rotation + translation, heading along local +Y). Modified in place.
+ * @param {THREE.Vector3} target - World direction to turn towards.
+ * @param {number} angle - Angle to turn by (radians); never turns past the target.
+ */
+function turnTowards(matrix, target, angle) {
+    const direction = scratch.direction.setFromMatrixColumn(matrix, 1).normalize();
+    const turn = Math.min(angle, direction.angleTo(target));
+    scratch.axis.crossVectors(direction, target);
+    if (turn <= 0 || scratch.axis.lengthSq() < 1e-12) return;
+    scratch.position.setFromMatrixPosition(matrix);
+    scratch.rotation.makeRotationFromQuaternion(scratch.quaternion.setFromAxisAngle(scratch.axis.normalize(), turn));
+    matrix.setPosition(0, 0, 0).premultiply(scratch.rotation).setPosition(scratch.position);
+}
+
+/**
+ * Grows a Weber-Penn tree, handing every stem segment and leaf to a sink.
+ * @param {object} params - Complete parameters (resolveWeberPenn).
+ * @param {function(): number} random - Random function for the variations.
+ * @param {object} sink - Receives the output, in order (parents before children).
+ * @param {function(number, number, THREE.Matrix4, number, number): number} sink.branch - Called with the parent
+ *        segment index (-1 for a trunk), the level, the segment's base matrix (heading along +Y), its length and
+ *        base radius. Returns the segment's index, or -1 when no more segments fit (growth then stops).
+ * @param {function(THREE.Matrix4, number): boolean} sink.leaf - Called with a leaf's matrix (unit plane scaled to the
+ *        leaf, its base at the stem) and the index of the segment it grows on. Returns false when no more leaves fit
+ *        (growth then stops).
+ * @param {number} [levels=params.levels] - Stem levels to grow (fewer prunes the tree; the leaves move up a level).
+ */
+export function growWeberPenn(params, random, sink, levels = params.levels) {
+    const variance = (amount) => (random() * 2 - 1) * amount;
+    const degrees = THREE.MathUtils.degToRad;
+    let stopped = false;
+
+    const scaleTree = Math.max(params.scale + variance(params.scaleV), 0);
+    const trunkLength = Math.max((params.length[0] + variance(params.lengthV[0])) * scaleTree, 0);
+    const trunkRadius = trunkLength * params.ratio;
+    const baseLength = trunkLength * params.baseSize;
+
+    /**
+     * Places the children (stems or leaves) of a stem segment, between relative positions z0 and z1 of the stem.
+     * @param {object} stem - The growing stem.
+     * @param {THREE.Matrix4} matrix - Base matrix of the segment.
+     * @param {number} segment - The segment's index (from sink.branch).
+     * @param {number} z0 - Relative position of the segment's base on the stem.
+     * @param {number} z1 - Relative position of its tip.
+     */
+    function addChildren(stem, matrix, segment, z0, z1) {
+        const level = stem.level + 1;
+        const leaves = level === levels;
+        const start = stem.level === 0 ? Math.max(z0, params.baseSize) : z0; // The trunk's base is bare
+        if (stem.childCount <= 0 || start >= z1) return;
+
+        const share = stem.childCount * (z1 - start) / (1 - (stem.level === 0 ? params.baseSize : 0));
+        stem.childError += share;
+        const count = Math.floor(stem.childError);
+        stem.childError -= count;
+        const paramLevel = Math.min(level, WEBER_PENN_LEVELS - 1); // Leaves after level 3 use level 3's angles
+        for (let i = 0; i < count && !stopped; i++) {
+            const z = start + (i + 0.5) / count * (z1 - start);
+            const offset = z * stem.length;
+            stem.rotation += params.rotate[paramLevel] + variance(params.rotateV[paramLevel]);
+            const downAngle = params.downAngle[paramLevel] + variance(params.downAngleV[paramLevel]);
+            const childMatrix = new THREE.Matrix4()
+                .multiplyMatrices(matrix, scratch.translation.makeTranslation(0, (z - z0) * stem.length, 0))
+                .multiply(scratch.rotation.makeRotationAxis(AXIS_Y, degrees(stem.rotation)))
+                .multiply(scratch.rotation.makeRotationAxis(AXIS_X, degrees(downAngle)));
+
+            if (leaves) {
+                const leafLength = params.leafScale;
+                const leafWidth = params.leafScale * params.leafScaleX;
+                childMatrix
+                    .multiply(scratch.translation.makeTranslation(0, leafLength / 2, 0)) // Its base at the stem
+                    .multiply(scratch.rotation.makeScale(leafWidth, leafLength, leafLength));
+                if (!sink.leaf(childMatrix, segment)) stopped = true;
+                continue;
+            }
+
+            const lengthMax = params.length[level] + variance(params.lengthV[level]);
+            const length = stem.level === 0
+                ? trunkLength * lengthMax * getShapeRatio(params.shape, (trunkLength - offset) / Math.max(trunkLength - baseLength, 1e-6))
+                : lengthMax * (stem.length - 0.6 * offset);
+            if (!(length > 0)) continue;
+            const radiusHere = stem.radius * (1 - Math.min(params.taper[stem.level], 1) * z);
+            const radius = Math.min(stem.radius * Math.pow(length / stem.length, params.ratioPower), radiusHere);
+            growStem(createStem(level, length, radius, lengthMax, stem.length, offset), childMatrix, segment, 0);
+        }
+    }
+
+    /**
+     * Creates the state of a new stem.
+     * @param {number} level - Stem level.
+     * @param {number} length - Stem length.
+     * @param {number} radius - Base radius.
+     * @param {number} lengthMax - The level's relative length (with variation) it was sized with.
+     * @param {number} parentLength - Length of its parent (0 for a trunk).
+     * @param {number} offset - Its position on the parent.
+     * @returns {object} Stem state (cloned for splits).
+     */
+    function createStem(level, length, radius, lengthMax, parentLength, offset) {
+        let childCount;
+        if (level + 1 === levels) {
+            childCount = params.leaves * (parentLength > 0 ? getShapeRatio(4, offset / parentLength) : 1);
+        } else if (level === 0) {
+            childCount = params.branches[1];
+        } else {
+            childCount = params.branches[level + 1] * (0.2 + 0.8 * (length / parentLength) / Math.max(lengthMax, 1e-6));
+        }
+        return { level, length, radius, childCount, childError: random(), splitError: 0, rotation: random() * 360 };
+    }
+
+    /**
+     * Grows a stem's segments from one index on (splits continue the stem as clones).
+     * @param {object} stem - Stem state (createStem).
+     * @param {THREE.Matrix4} matrix - Base matrix of the first segment to grow. Modified.
+     * @param {number} parentSegment - Segment the first one is attached to (-1 for a trunk).
+     * @param {number} first - Index of the first segment to grow.
+     */
+    function growStem(stem, matrix, parentSegment, first) {
+        const { level } = stem;
+        const curveRes = params.curveRes[level];
+        const segmentLength = stem.length / curveRes;
+        const taper = Math.min(params.taper[level], 1);
+        for (let i = first; i < curveRes && !stopped; i++) {
+            const z0 = i / curveRes;
+            const segment = sink.branch(parentSegment, level, matrix, segmentLength, Math.max(stem.radius * (1 - taper * z0), 1e-4));
+            if (segment === -1) {
+                stopped = true;
+                return;
+            }
+            addChildren(stem, matrix, segment, z0, (i + 1) / curveRes);
+            if (i === curveRes - 1) return;
+
+            // Move to the segment's tip and bend: curve (then curveBack for the second half), plus variation
+            matrix.multiply(scratch.translation.makeTranslation(0, segmentLength, 0));
+            const curve = params.curveBack[level] === 0
+                ? params.curve[level] / curveRes
+                : (i < curveRes / 2 ? params.curve[level] : params.curveBack[level]) / (curveRes / 2);
+            matrix.multiply(scratch.rotation.makeRotationAxis(AXIS_X, degrees(curve + variance(params.curveV[level]) / curveRes)));
+            if (level >= 2 && params.attractionUp !== 0) {
+                const direction = scratch.direction.setFromMatrixColumn(matrix, 1).normalize();
+                const target = params.attractionUp > 0 ? UP : DOWN;
+                turnTowards(matrix, target, Math.abs(params.attractionUp) * direction.angleTo(target) / curveRes);
+            }
+
+            // Splits: the stem forks into equal clones spread around its axis
+            stem.splitError += level === 0 && i === 0 && params.baseSplits > 0 ? params.baseSplits : params.segSplits[level];
+            const splits = Math.floor(stem.splitError + 0.5);
+            stem.splitError -= splits;
+            if (splits > 0) {
+                const splitAngle = params.splitAngle[level];
+                for (let clone = 1; clone <= splits && !stopped; clone++) {
+                    const cloneMatrix = matrix.clone()
+                        .multiply(scratch.rotation.makeRotationAxis(AXIS_Y, 2 * Math.PI * clone / (splits + 1)))
+                        .multiply(scratch.rotation.makeRotationAxis(AXIS_X, degrees(splitAngle + variance(params.splitAngleV[level]))));
+                    growStem({ ...stem, splitError: 0 }, cloneMatrix, segment, i + 1);
+                }
+                matrix.multiply(scratch.rotation.makeRotationAxis(AXIS_X, degrees(splitAngle + variance(params.splitAngleV[level]))));
+            }
+            parentSegment = segment;
+        }
+    }
+
+    const trunks = Math.max(params.branches[0], 1);
+    for (let trunk = 0; trunk < trunks && !stopped; trunk++) {
+        const matrix = new THREE.Matrix4();
+        if (trunk > 0) { // Extra trunks lean out by downAngle[0], spread around the first
+            matrix.multiply(scratch.rotation.makeRotationAxis(AXIS_Y, 2 * Math.PI * trunk / trunks))
+                .multiply(scratch.rotation.makeRotationAxis(AXIS_X, degrees(params.downAngle[0])));
+        }
+        growStem(createStem(0, trunkLength, trunkRadius, params.length[0], 0, 0), matrix, -1, 0);
+    }
+}
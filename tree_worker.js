@@ -0,0 +1,24 @@
+/**
+ * Web Worker entry point for tree generation (used through tree_generator_async.js).
+ * Runs generateTreeMatrices off the main thread and sends the Float32Array results back as transferables.
+ *
+ * Messages in:  { id, config, options }
+ * Messages out: { id, type: 'progress', progress } | { id, type: 'result', result } | { id, type: 'error', message, errors }
+ *               (errors: the field-level validation errors, if the config was invalid)
+ */
+import { generateTreeMatrices } from './tree_generator.js';
+
+self.addEventListener('message', (event) => {
+    const { id, config, options } = event.data;
+    try {
+        const result = generateTreeMatrices(config, {
+            ...options,
+            output: 'float32',
+            onProgress: (progress) => self.postMessage({ id, type: 'progress', progress })
+        });
+        // Transfer the buffers instead of copying them
+        self.postMessage({ id, type: 'result', result }, [result.branchArray.buffer, result.leafArray.buffer]);
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message, errors: error.errors });
+    }
+});
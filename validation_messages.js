@@ -0,0 +1,20 @@
+/**
+ * Lists validation errors and warnings (see tree_schema.js) in a page element.
+ * Shared by the editor and the loaders; each page styles `.error` and `.warning` lists itself.
+ * @param {HTMLElement} container - Element to fill (cleared when there are no issues).
+ * @param {{errors: {message: string}[], warnings: {message: string}[]}} validation - Result of the validator.
+ */
+export function showValidationMessages(container, validation) {
+    container.innerHTML = '';
+    for (const [kind, issues] of [['error', validation.errors], ['warning', validation.warnings]]) {
+        if (issues.length === 0) continue;
+        const list = document.createElement('ul');
+        list.className = kind;
+        for (const issue of issues) {
+            const item = document.createElement('li');
+            item.textContent = issue.message;
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+    }
+}